@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/*
+ * e2e-mock.mjs - End-to-end check of the sync against mock-aui-server.mjs
+ *
+ * Starts the mock in-process on a free port and runs sync-assignments.mjs
+ * twice in a temporary directory (so state.json, outputs/ and .env of the
+ * checkout are never touched). The initial token "expires" after a few AUI
+ * requests, so both runs go through the 401 -> refresh-token -> retry path.
+ *
+ * Checks:
+ *   - every assignment is fetched across the @odata.nextLink pages
+ *   - the first run creates one Notion page per assignment
+ *   - the second run creates no new pages (dedup by assignment ID)
+ *   - the mid-run 401 is answered with a refresh instead of failing the run
+ *
+ * Usage:
+ *   npm run test:e2e
+ *   node e2e-mock.mjs [--verbose]    # show the sync output
+ *
+ * Exits 1 when a check fails.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createMockServer, MOCK_DATABASE_ID } from './mock-aui-server.mjs';
+
+const ASSIGNMENTS = 12;
+const PAGE_SIZE = 5;
+const EXPIRE_AFTER = 3;
+
+const SYNC_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sync-assignments.mjs');
+const verbose = process.argv.includes('--verbose');
+
+const failures = [];
+
+function check(condition, message) {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+}
+
+// Runs the sync as a child process (async, so the in-process mock keeps
+// answering) and resolves with its exit code, output and run summary
+function runSync(cwd, env) {
+  const summaryFile = path.join(cwd, 'summary.json');
+  fs.rmSync(summaryFile, { force: true });
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SYNC_SCRIPT], {
+      cwd,
+      env: { ...env, SYNC_SUMMARY_FILE: summaryFile },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const collect = (chunk) => {
+      output += chunk;
+      if (verbose) process.stdout.write(chunk);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => child.kill(), 120000);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const summary = fs.existsSync(summaryFile) ? JSON.parse(fs.readFileSync(summaryFile, 'utf8')) : null;
+      resolve({ code, output, summary });
+    });
+  });
+}
+
+// The environment the mock prints on startup; anything AUI/Notion/profile
+// related from the shell is dropped so a real .env setup can't leak in
+function syncEnv(base, mock) {
+  const env = Object.fromEntries(Object.entries(process.env)
+    .filter(([key]) => !/^(AUI_|NOTION_|GRAPH_|SYNC_|TOKEN_)/.test(key)));
+
+  return {
+    ...env,
+    CI: 'true', // refresh-token grant only: no browser, no token store
+    AUI_URL: `${base}/api/v1.0/edu/me/work`,
+    AUI_API_BASE: `${base}/api/v1.0`,
+    AUI_TOKEN: mock.token,
+    AUI_REFRESH_TOKEN: mock.currentRefreshToken(),
+    AUI_TOKEN_URL: `${base}/oauth2/v2.0/token`,
+    NOTION_API_BASE: `${base}/v1`,
+    NOTION_TOKEN: 'mock',
+    NOTION_DATABASE_ID: MOCK_DATABASE_ID
+  };
+}
+
+function report(label, result) {
+  if (result.code !== 0 && !verbose) {
+    console.log(`--- ${label} output ---\n${result.output.trim()}\n---`);
+  }
+}
+
+async function main() {
+  const mock = createMockServer({ assignmentCount: ASSIGNMENTS, pageSize: PAGE_SIZE, expireAfter: EXPIRE_AFTER });
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-sync-e2e-'));
+
+  try {
+    await new Promise((resolve, reject) => {
+      mock.server.once('error', reject);
+      mock.server.listen(0, '127.0.0.1', resolve);
+    });
+    const base = `http://127.0.0.1:${mock.server.address().port}`;
+    console.log(`🧪 Mock server on ${base}, working directory ${cwd}\n`);
+
+    // First run: everything is new
+    const first = await runSync(cwd, syncEnv(base, mock));
+    report('first run', first);
+    check(first.code === 0, `first run exits 0 (got ${first.code})`);
+    check(first.summary?.fetched === ASSIGNMENTS, `pagination fetches all ${ASSIGNMENTS} assignments in pages of ${PAGE_SIZE} (got ${first.summary?.fetched})`);
+    check(mock.notionPages.length === ASSIGNMENTS, `first run creates ${ASSIGNMENTS} Notion pages (got ${mock.notionPages.length})`);
+    check(mock.counts.unauthorized > 0 && mock.counts.refreshes > 0,
+      `expired token is refreshed mid-run (${mock.counts.unauthorized} x 401, ${mock.counts.refreshes} refresh)`);
+
+    // Second run: same token (expired again after a few requests), rotated refresh token
+    const refreshesBefore = mock.counts.refreshes;
+    const second = await runSync(cwd, syncEnv(base, mock));
+    report('second run', second);
+    check(second.code === 0, `second run exits 0 (got ${second.code})`);
+    check(second.summary?.fetched === ASSIGNMENTS, `second run fetches all ${ASSIGNMENTS} assignments (got ${second.summary?.fetched})`);
+    check(mock.notionPages.length === ASSIGNMENTS, `second run creates no new Notion pages (${mock.notionPages.length} total)`);
+    check(second.summary?.added === 0, `second run reports no added assignments (got ${second.summary?.added})`);
+    check(mock.counts.refreshes > refreshesBefore, 'second run refreshes the expired token again');
+  } finally {
+    mock.server.close();
+    mock.server.closeAllConnections();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✅ End-to-end sync against the mock passed');
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
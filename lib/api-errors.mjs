@@ -0,0 +1,100 @@
+/*
+ * api-errors.mjs - Typed errors for the assignments APIs (AUI and Graph)
+ *
+ * fetchWithAuth() turns every failed request into one of these so callers can
+ * decide what to do instead of the process exiting mid-sync:
+ *
+ *   AuthError       401 - token expired or invalid; refresh and retry
+ *   ForbiddenError  403 - the account may not read this resource; skip the item
+ *   RateLimitError  429 - retried after Retry-After, thrown once retries run out
+ *   TransientError  5xx, 408 and network failures - retried with backoff
+ *   NotFoundError   404 (or a response missing from a recording) - skip the item
+ *   ApiError        anything else (400, 405, ...) - a bug or unsupported request
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, url = '', body = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// Not an AuthError: a new token doesn't grant access, so nothing is refreshed
+export class ForbiddenError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class TransientError extends ApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'TransientError';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class RateLimitError extends TransientError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function errorFromResponse(response, url, body = '') {
+  const status = response.status;
+  const message = `HTTP ${status}: ${response.statusText || 'request failed'}`;
+  const details = { status, url, body };
+
+  if (status === 401) {
+    return new AuthError(message, details);
+  }
+  if (status === 403) {
+    return new ForbiddenError(message, details);
+  }
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) });
+  }
+  if (status === 408 || status >= 500) {
+    return new TransientError(message, { ...details, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) });
+  }
+  return new ApiError(message, details);
+}
@@ -0,0 +1,92 @@
+/*
+ * browser-profiles.mjs - Find Edge/Chrome profiles for token extraction
+ *
+ * Chromium browsers keep one "user data" directory per browser holding a
+ * folder per profile (Default, Profile 1, ...). Display names and signed-in
+ * accounts come from the "Local State" file in the user data directory.
+ *
+ * User data directories:
+ *   macOS    ~/Library/Application Support/Microsoft Edge | Google/Chrome
+ *   Windows  %LOCALAPPDATA%\Microsoft\Edge\User Data | Google\Chrome\User Data
+ *   Linux    $XDG_CONFIG_HOME (~/.config)/microsoft-edge | google-chrome
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Playwright channel per browser
+export const BROWSERS = {
+  edge: { name: 'Microsoft Edge', channel: 'msedge' },
+  chrome: { name: 'Google Chrome', channel: 'chrome' }
+};
+
+export function userDataDirs(browser, { platform = process.platform, env = process.env, home = os.homedir() } = {}) {
+  if (platform === 'darwin') {
+    const support = path.join(home, 'Library', 'Application Support');
+    return browser === 'edge'
+      ? [path.join(support, 'Microsoft Edge')]
+      : [path.join(support, 'Google', 'Chrome')];
+  }
+
+  if (platform === 'win32') {
+    const local = env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+    return browser === 'edge'
+      ? [path.win32.join(local, 'Microsoft', 'Edge', 'User Data')]
+      : [path.win32.join(local, 'Google', 'Chrome', 'User Data')];
+  }
+
+  const config = env.XDG_CONFIG_HOME || path.join(home, '.config');
+  return browser === 'edge'
+    ? ['microsoft-edge', 'microsoft-edge-beta', 'microsoft-edge-dev'].map(dir => path.join(config, dir))
+    : ['google-chrome', 'google-chrome-beta'].map(dir => path.join(config, dir));
+}
+
+function readLocalState(userDataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(userDataDir, 'Local State'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Profiles of the given browsers: { browser, userDataDir, directory, name, email }
+export function discoverProfiles(browsers = Object.keys(BROWSERS), options = {}) {
+  const profiles = [];
+
+  for (const browser of browsers) {
+    for (const userDataDir of userDataDirs(browser, options)) {
+      if (!fs.existsSync(userDataDir)) continue;
+
+      const infoCache = readLocalState(userDataDir).profile?.info_cache || {};
+      const directories = fs.readdirSync(userDataDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^(Default|Profile \d+)$/.test(entry.name))
+        .filter(entry => fs.existsSync(path.join(userDataDir, entry.name, 'Preferences')) || infoCache[entry.name])
+        .map(entry => entry.name)
+        .sort((a, b) => (a === 'Default' ? -1 : b === 'Default' ? 1 : a.localeCompare(b, undefined, { numeric: true })));
+
+      for (const directory of directories) {
+        const info = infoCache[directory] || {};
+        profiles.push({
+          browser,
+          userDataDir,
+          directory,
+          name: info.name || directory,
+          email: info.user_name || ''
+        });
+      }
+    }
+  }
+
+  return profiles;
+}
+
+// --profile matches a profile folder ("Profile 1"), display name or account
+// email, case-insensitively
+export function findProfile(profiles, query) {
+  const wanted = String(query).toLowerCase();
+  return profiles.find(profile => profile.directory.toLowerCase() === wanted) ||
+    profiles.find(profile => profile.name.toLowerCase() === wanted) ||
+    profiles.find(profile => profile.email && profile.email.toLowerCase() === wanted) ||
+    null;
+}
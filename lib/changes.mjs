@@ -0,0 +1,86 @@
+/*
+ * changes.mjs - Field-level change history across syncs
+ *
+ * state.json keeps one snapshot per assignment ({ hash, fields }). Each sync
+ * compares the fresh record with it and appends one line per added or changed
+ * assignment to outputs/changes.jsonl:
+ *
+ *   {"at":"...","id":"...","title":"...","type":"changed",
+ *    "changes":[{"field":"dueDate","old":"...","new":"..."}]}
+ *
+ * Class-wide counters (agg_*, studentCount) and modifiedDate are not tracked;
+ * they move whenever a classmate submits and would drown out real edits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const CHANGES_FILE = 'outputs/changes.jsonl';
+
+export const TRACKED_FIELDS = [
+  'title', 'description', 'dueDate', 'assignedDate', 'status',
+  'className', 'teacherName', 'allowLateSubmissions', 'webUrl',
+  'submissionStatus', 'submittedDate', 'returnedDate', 'isLate', 'grade'
+];
+
+export function snapshotFields(item) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, item[field] ?? null]));
+}
+
+export function snapshotHash(fields) {
+  return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+}
+
+export function diffSnapshots(oldFields, newFields) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(oldFields[field] ?? null) !== JSON.stringify(newFields[field] ?? null))
+    .map(field => ({ field, old: oldFields[field] ?? null, new: newFields[field] ?? null }));
+}
+
+// Compare items with their stored snapshots, update the snapshots in place and
+// return the change entries (not yet written).
+export function detectChanges(items, snapshots, at = new Date().toISOString()) {
+  const entries = [];
+
+  for (const item of items) {
+    const fields = snapshotFields(item);
+    const hash = snapshotHash(fields);
+    const previous = snapshots[item.id];
+
+    if (!previous) {
+      entries.push({ at, id: item.id, title: item.title, type: 'added', changes: [] });
+    } else if (previous.hash !== hash) {
+      const changes = diffSnapshots(previous.fields || {}, fields);
+      if (changes.length > 0) {
+        entries.push({ at, id: item.id, title: item.title, type: 'changed', changes });
+      }
+    }
+
+    snapshots[item.id] = { hash, fields };
+  }
+
+  return entries;
+}
+
+export function appendChanges(entries, file = CHANGES_FILE) {
+  if (entries.length === 0) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+export function readChangesSince(since, file = CHANGES_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && new Date(entry.at) >= since);
+}
@@ -0,0 +1,58 @@
+/*
+ * detail-cache.mjs - On-disk cache of assignment detail responses
+ *
+ * The detail endpoint (instructions, rubric, resources, grading scheme) costs
+ * one request per assignment, but its answer only changes when the assignment
+ * itself is edited. Entries are keyed by "classId:assignmentId" and remember
+ * the assignment's lastModifiedDateTime; a different timestamp is a miss.
+ *
+ * Layout of .cache/details.json:
+ *   { "<classId>:<assignmentId>": { lastModified, cachedAt, data } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DETAIL_CACHE_FILE = '.cache/details.json';
+
+export class DetailCache {
+  constructor(file = DETAIL_CACHE_FILE) {
+    this.file = file;
+    this.entries = {};
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+
+    try {
+      this.entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      // Missing or unreadable cache: start empty
+    }
+  }
+
+  get(key, lastModified) {
+    const entry = this.entries[key];
+    if (lastModified && entry && entry.lastModified === lastModified && entry.data) {
+      this.hits++;
+      return entry.data;
+    }
+    this.misses++;
+    return null;
+  }
+
+  set(key, lastModified, data) {
+    if (!lastModified || !data) return;
+    this.entries[key] = { lastModified, cachedAt: new Date().toISOString(), data };
+    this.dirty = true;
+  }
+
+  // Written to a temp file and renamed so an interrupted sync can't leave half a cache
+  save() {
+    if (!this.dirty) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.entries));
+    fs.renameSync(temp, this.file);
+    this.dirty = false;
+  }
+}
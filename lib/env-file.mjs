@@ -0,0 +1,97 @@
+/*
+ * env-file.mjs - Read and edit .env files
+ *
+ * Shared by sync-assignments.mjs, simple-edge-extractor.mjs and
+ * refresh-token.mjs. Values may contain "=" (URLs with $filter, base64), keys
+ * are matched exactly so AUI_TOKEN never touches AUI_TOKEN_URL, duplicate
+ * lines collapse into one, and files are replaced atomically.
+ */
+
+import fs from 'fs';
+
+const LINE = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/;
+
+function unquote(raw) {
+  const value = raw.trim();
+  if (value.length >= 2 && value[0] === '"' && value[value.length - 1] === '"') {
+    return value.slice(1, -1).replace(/\\(["\\n])/g, (_, ch) => (ch === 'n' ? '\n' : ch));
+  }
+  if (value.length >= 2 && value[0] === "'" && value[value.length - 1] === "'") {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// KEY=value pairs; comments and blank lines are skipped, the last duplicate wins
+export function parseEnv(content) {
+  const values = {};
+  for (const line of content.split(/\r?\n/)) {
+    if (/^\s*#/.test(line)) continue;
+    const match = line.match(LINE);
+    if (match) {
+      values[match[1]] = unquote(match[2]);
+    }
+  }
+  return values;
+}
+
+export function readEnvFile(file = '.env') {
+  try {
+    return parseEnv(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Copy a .env file into process.env; existing variables win unless override.
+// Keys in exclude are left out.
+export function loadEnvFile(file = '.env', { override = false, exclude = [] } = {}) {
+  for (const [key, value] of Object.entries(readEnvFile(file))) {
+    if (exclude.includes(key)) continue;
+    if (override || !process.env[key]) {
+      process.env[key] = value;
+    }
+  }
+}
+
+// Write to a temp file and rename over the target, keeping its permissions
+export function writeFileAtomic(file, content, mode) {
+  if (mode === undefined && fs.existsSync(file)) {
+    mode = fs.statSync(file).mode & 0o777;
+  }
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, content, mode === undefined ? undefined : { mode });
+  if (mode !== undefined) fs.chmodSync(temp, mode); // writeFileSync's mode is masked by umask
+  fs.renameSync(temp, file);
+}
+
+// Set (or, with a null value, remove) keys in a .env file. The first line of a
+// key is rewritten in place and later duplicates are dropped; comments stay.
+export function updateEnvFile(updates, file = '.env') {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  } catch {}
+
+  for (const [key, value] of updates) {
+    let written = false;
+    lines = lines.flatMap(line => {
+      const match = !/^\s*#/.test(line) && line.match(LINE);
+      if (!match || match[1] !== key) return [line];
+      if (written || value === null || value === undefined) return [];
+      written = true;
+      return [`${key}=${quote(value)}`];
+    });
+
+    if (!written && value !== null && value !== undefined) {
+      while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+      lines.push(`${key}=${quote(value)}`);
+    }
+  }
+
+  writeFileAtomic(file, lines.join('\n').replace(/\n*$/, '\n'));
+}
@@ -0,0 +1,95 @@
+/*
+ * grades.mjs - Grade, feedback and rubric extraction from submission outcomes
+ *
+ * Submissions carry an outcomes array (AUI and Graph share the shape):
+ *   #microsoft.graph.educationPointsOutcome    points / publishedPoints
+ *   #microsoft.graph.educationFeedbackOutcome  feedback / publishedFeedback
+ *   #microsoft.graph.educationRubricOutcome    (published)RubricQualitySelectedLevels
+ *
+ * Points possible come from the assignment's grading, letter grades from its
+ * gradingScheme and rubric names from its rubric, which only the detail
+ * endpoint expands.
+ */
+
+const OUTCOME_TYPES = {
+  points: 'educationPointsOutcome',
+  feedback: 'educationFeedbackOutcome',
+  rubric: 'educationRubricOutcome'
+};
+
+function findOutcome(outcomes, type) {
+  return outcomes.find(outcome => String(outcome['@odata.type'] || '').endsWith(OUTCOME_TYPES[type]));
+}
+
+// Students only ever see published outcomes; fall back to the draft values
+// once the submission has been returned.
+function published(outcome, field, returned) {
+  if (!outcome) return null;
+  const key = `published${field[0].toUpperCase()}${field.substring(1)}`;
+  return outcome[key] ?? (returned ? outcome[field] : null) ?? null;
+}
+
+function toNumberOrNull(value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+function letterGrade(gradingScheme, percentage) {
+  const grades = Array.isArray(gradingScheme?.grades) ? gradingScheme.grades : [];
+  if (percentage === null || grades.length === 0) return '';
+
+  const match = [...grades]
+    .sort((a, b) => Number(b.minPercentage) - Number(a.minPercentage))
+    .find(grade => percentage >= Number(grade.minPercentage));
+  return match ? String(match.displayName || '') : '';
+}
+
+function rubricSelections(rubricOutcome, rubric, returned) {
+  const selected = published(rubricOutcome, 'rubricQualitySelectedLevels', returned) || [];
+  const feedback = published(rubricOutcome, 'rubricQualityFeedback', returned) || [];
+  const qualities = Array.isArray(rubric?.qualities) ? rubric.qualities : [];
+  const levels = Array.isArray(rubric?.levels) ? rubric.levels : [];
+
+  return selected.map(selection => {
+    const quality = qualities.find(q => q.qualityId === selection.qualityId) || {};
+    const level = levels.find(l => l.levelId === selection.columnId) || {};
+    const note = feedback.find(f => f.qualityId === selection.qualityId);
+
+    return {
+      criterion: String(quality.displayName || quality.description?.content || selection.qualityId || ''),
+      level: String(level.displayName || selection.columnId || ''),
+      points: toNumberOrNull(level.grading?.maxPoints),
+      feedback: String(note?.feedback?.content || '').trim()
+    };
+  });
+}
+
+// Returns null when the submission has no visible grade, feedback or rubric.
+export function extractGrade(submission, assignment = {}, returnedDate = '') {
+  const outcomes = Array.isArray(submission?.outcomes) ? submission.outcomes : [];
+  if (outcomes.length === 0) return null;
+
+  const returned = submission.status === 'returned';
+  const pointsOutcome = published(findOutcome(outcomes, 'points'), 'points', returned);
+  const feedbackOutcome = published(findOutcome(outcomes, 'feedback'), 'feedback', returned);
+
+  const pointsPossible = toNumberOrNull(assignment.grading?.maxPoints);
+  const points = toNumberOrNull(pointsOutcome?.points);
+  const percentage = points !== null && pointsPossible
+    ? Math.round((points / pointsPossible) * 1000) / 10
+    : null;
+  const feedback = String(feedbackOutcome?.text?.content || '').trim();
+  const rubric = rubricSelections(findOutcome(outcomes, 'rubric'), assignment.rubric, returned);
+
+  if (points === null && !feedback && rubric.length === 0) return null;
+
+  return {
+    points,
+    pointsPossible,
+    percentage,
+    letter: letterGrade(assignment.gradingScheme, percentage),
+    feedback,
+    rubric,
+    gradedDate: returnedDate
+  };
+}
@@ -0,0 +1,243 @@
+/*
+ * html-text.mjs - Convert AUI instruction HTML into Markdown or plain text
+ *
+ * Both variants keep the structure Teams produces: paragraphs are separated by
+ * a blank line, <br> becomes a line break, lists keep their bullets/numbers and
+ * nesting, and entities are decoded. Markdown additionally keeps headings,
+ * links and bold/italic/strike/code; plain text writes links as "text (url)".
+ */
+
+import { decodeEntities, attribute, looksLikeHtml, tags } from './html.mjs';
+
+export function htmlToMarkdown(html) {
+  return convert(html, true);
+}
+
+export function htmlToPlainText(html) {
+  return convert(html, false);
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function safeHref(href) {
+  return href && /^(https?:|mailto:)/i.test(href) ? href : null;
+}
+
+function convert(html, markdown) {
+  if (!html || !html.trim()) return '';
+  if (!looksLikeHtml(html)) {
+    return decodeEntities(html)
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  const blocks = []; // { text, tight } - tight blocks (list items) join with one newline
+  const lists = []; // { ordered, index, indent, contentIndent }
+  const inline = []; // open emphasis/links: { open, close, emitted, start, code }
+  let quoteDepth = 0;
+  let current = null; // { prefix, text, tight }
+
+  const lineBreak = markdown ? '  \n' : '\n';
+
+  // Markers are emitted lazily, right before the first visible character, so
+  // "<b> word </b>" becomes " **word** " rather than "** word **".
+  const closeInline = (mark) => {
+    if (!mark.emitted || !current) return;
+    const trailing = current.text.match(/\s*$/)[0];
+    const body = current.text.substring(0, current.text.length - trailing.length);
+    current.text = body + mark.close(body.substring(mark.start)) + trailing;
+    mark.emitted = false;
+  };
+
+  const flush = () => {
+    if (!current) return;
+    [...inline].reverse().forEach(closeInline);
+
+    const lines = current.text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim());
+    while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+    while (lines.length > 0 && !lines[0]) lines.shift();
+
+    if (lines.length > 0) {
+      const hanging = ' '.repeat(current.prefix.length);
+      const quote = markdown ? '> '.repeat(quoteDepth) : '';
+      const text = lines
+        .map((line, i) => `${quote}${i === 0 ? current.prefix : hanging}${line}`)
+        .join(lineBreak);
+      blocks.push({ text, tight: current.tight });
+    }
+    current = null;
+  };
+
+  const open = (prefix = '', tight = false) => {
+    flush();
+    current = { prefix, text: '', tight };
+  };
+
+  // Text that follows a nested list (or a <p>) inside an <li> hangs under the item
+  const openContinuation = () => {
+    const list = lists[lists.length - 1];
+    open(list ? list.contentIndent : '', Boolean(list));
+  };
+
+  const append = (text, raw = false) => {
+    if (!current) {
+      if (!text.trim()) return;
+      openContinuation();
+    }
+
+    if (/\S/.test(text)) {
+      const lead = text.match(/^\s*/)[0];
+      let rest = text.substring(lead.length);
+      let opened = '';
+      for (const mark of inline) {
+        if (!mark.emitted) {
+          opened += mark.open;
+          mark.emitted = true;
+          mark.start = current.text.length + lead.length + opened.length;
+        }
+      }
+      const inCode = inline.some(mark => mark.code);
+      if (markdown && !raw && !inCode) rest = escapeMarkdown(rest);
+      text = lead + opened + rest;
+    }
+
+    current.text += text;
+  };
+
+  const pushInline = (tag, open, close) => {
+    inline.push({ tag, open, close: typeof close === 'function' ? close : () => close, emitted: false, start: 0, code: tag === 'code' });
+  };
+
+  const popInline = (tag) => {
+    for (let i = inline.length - 1; i >= 0; i--) {
+      if (inline[i].tag === tag) {
+        closeInline(inline[i]);
+        inline.splice(i, 1);
+        return;
+      }
+    }
+  };
+
+  const emphasis = markdown
+    ? { b: '**', strong: '**', i: '_', em: '_', s: '~~', strike: '~~', del: '~~', code: '`' }
+    : {};
+
+  for (const { text, tag, closing, attrs } of tags(html)) {
+    if (text !== undefined) {
+      append(decodeEntities(text).replace(/\s+/g, ' '));
+      continue;
+    }
+
+    switch (tag) {
+      case 'p':
+      case 'div':
+      case 'pre':
+      case 'tr':
+        if (closing) {
+          flush();
+        } else if (!current || current.text.trim()) {
+          openContinuation();
+        }
+        break;
+      case 'blockquote':
+        flush();
+        quoteDepth = Math.max(0, quoteDepth + (closing ? -1 : 1));
+        break;
+      case 'br':
+        if (current) current.text += '\n';
+        break;
+      case 'hr':
+        flush();
+        if (markdown) blocks.push({ text: '---', tight: false });
+        break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        if (closing) {
+          flush();
+        } else {
+          open(markdown ? `${'#'.repeat(Number(tag[1]))} ` : '');
+        }
+        break;
+      case 'ul':
+      case 'ol': {
+        flush();
+        if (closing) {
+          lists.pop();
+        } else {
+          const parent = lists[lists.length - 1];
+          const indent = parent ? parent.contentIndent : '';
+          lists.push({ ordered: tag === 'ol', index: 0, indent, contentIndent: indent });
+        }
+        break;
+      }
+      case 'li': {
+        if (closing) {
+          flush();
+          break;
+        }
+        const list = lists[lists.length - 1];
+        if (!list) {
+          open();
+          break;
+        }
+        list.index++;
+        const marker = list.ordered ? `${list.index}.` : '-';
+        open(`${list.indent}${marker} `, true);
+        list.contentIndent = list.indent + ' '.repeat(marker.length + 1);
+        break;
+      }
+      case 'td':
+      case 'th':
+        if (!closing && current && current.text.trim()) current.text += ' | ';
+        break;
+      case 'a':
+        if (closing) {
+          popInline('a');
+        } else {
+          const href = safeHref(attribute(attrs, 'href'));
+          if (markdown) {
+            pushInline('a', href ? '[' : '', () => (href ? `](${href})` : ''));
+          } else {
+            pushInline('a', '', linkText => (href && linkText !== href && linkText !== href.replace(/^mailto:/i, '') ? ` (${href})` : ''));
+          }
+        }
+        break;
+      case 'img': {
+        const src = safeHref(attribute(attrs, 'src'));
+        const alt = attribute(attrs, 'alt') || '';
+        if (markdown && src) {
+          append(`![${escapeMarkdown(alt)}](${src})`, true);
+        } else if (alt) {
+          append(alt);
+        }
+        break;
+      }
+      default:
+        if (emphasis[tag]) {
+          // <b>...</strong> and friends close each other
+          const key = { strong: 'b', em: 'i', strike: 's', del: 's' }[tag] || tag;
+          if (closing) {
+            popInline(key);
+          } else {
+            pushInline(key, emphasis[tag], emphasis[tag]);
+          }
+        }
+        break;
+    }
+  }
+
+  flush();
+
+  return blocks
+    .map((block, i) => (i === 0 ? '' : (block.tight && blocks[i - 1].tight ? '\n' : '\n\n')) + block.text)
+    .join('');
+}
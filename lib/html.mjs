@@ -0,0 +1,52 @@
+/*
+ * html.mjs - Minimal HTML reading shared by the instruction converters
+ *
+ * Teams instruction HTML is simple enough for a regex tokenizer: tags(),
+ * entity decoding and attribute lookup are all notion-blocks.mjs and
+ * html-text.mjs need. Comments are skipped; text is returned undecoded.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', bull: '•', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£'
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function attribute(attrs, name) {
+  const match = attrs.match(new RegExp(`${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4] ?? '') : null;
+}
+
+// True when the string contains markup rather than plain text
+export function looksLikeHtml(html) {
+  return /<[a-z!/]/i.test(html);
+}
+
+// Yields { text } for text runs and { tag, closing, attrs } for tags (tag
+// lower-cased)
+export function* tags(html) {
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(html)) !== null) {
+    const [, closing, rawTag, attrs, text] = match;
+
+    if (text !== undefined) {
+      yield { text };
+    } else if (rawTag) {
+      yield { tag: rawTag.toLowerCase(), closing: Boolean(closing), attrs };
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/*
+ * notion-blocks.mjs - Convert AUI instruction HTML into Notion blocks
+ *
+ * Handles the markup Teams produces for assignment instructions: paragraphs,
+ * line breaks, headings, bulleted/numbered lists (nested up to the two levels
+ * Notion accepts in one request), links and bold/italic/underline/strike/code.
+ * Anything else is flattened to its text.
+ */
+
+import { decodeEntities, attribute, looksLikeHtml, tags } from './html.mjs';
+
+// Notion API limits
+export const MAX_TEXT_LENGTH = 2000;
+export const MAX_RICH_TEXT_ITEMS = 100;
+export const MAX_BLOCKS_PER_REQUEST = 100;
+const MAX_LIST_DEPTH = 2;
+
+function textBlock(type, richText = []) {
+  return { object: 'block', type, [type]: { rich_text: richText } };
+}
+
+// Merge neighbouring runs with identical formatting, trim the block edges and
+// respect Notion's per-item length and per-block item limits.
+function finishRichText(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (last && last.link === run.link && JSON.stringify(last.annotations) === JSON.stringify(run.annotations)) {
+      last.content += run.content;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+
+  if (merged.length > 0) {
+    merged[0].content = merged[0].content.replace(/^[ \t]+/, '');
+    merged[merged.length - 1].content = merged[merged.length - 1].content.replace(/\s+$/, '');
+  }
+
+  const richText = [];
+  for (const run of merged) {
+    for (let i = 0; i < run.content.length; i += MAX_TEXT_LENGTH) {
+      const item = {
+        type: 'text',
+        text: { content: run.content.substring(i, i + MAX_TEXT_LENGTH), link: run.link ? { url: run.link } : null }
+      };
+      if (Object.values(run.annotations).some(Boolean)) {
+        item.annotations = run.annotations;
+      }
+      richText.push(item);
+    }
+  }
+
+  return richText.filter(item => item.text.content.length > 0).slice(0, MAX_RICH_TEXT_ITEMS);
+}
+
+function plainTextToBlocks(text) {
+  return text
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => textBlock('paragraph', finishRichText([{ content: paragraph, link: null, annotations: {} }])));
+}
+
+export function htmlToNotionBlocks(html) {
+  if (!html || !html.trim()) return [];
+  if (!looksLikeHtml(html)) return plainTextToBlocks(decodeEntities(html));
+
+  const blocks = [];
+  const lists = []; // stack of { type, lastItem }
+  const marks = { bold: 0, italic: 0, underline: 0, strikethrough: 0, code: 0 };
+  const links = [];
+  let current = null; // { block, runs, attached }
+
+  const flush = () => {
+    if (!current) return;
+    const richText = finishRichText(current.runs);
+    current.block[current.block.type].rich_text = richText;
+    if (!current.attached && richText.length > 0) {
+      blocks.push(current.block);
+    }
+    current = null;
+  };
+
+  const start = (type) => {
+    flush();
+    current = { block: textBlock(type), runs: [], attached: false };
+  };
+
+  const appendText = (content) => {
+    if (!current) {
+      if (!content.trim()) return;
+      start('paragraph');
+    }
+    current.runs.push({
+      content,
+      link: links[links.length - 1] || null,
+      annotations: {
+        bold: marks.bold > 0,
+        italic: marks.italic > 0,
+        underline: marks.underline > 0,
+        strikethrough: marks.strikethrough > 0,
+        code: marks.code > 0
+      }
+    });
+  };
+
+  for (const { text, tag, closing, attrs } of tags(html)) {
+    if (text !== undefined) {
+      appendText(decodeEntities(text).replace(/\s+/g, ' '));
+      continue;
+    }
+
+    switch (tag) {
+      case 'p':
+      case 'div':
+      case 'blockquote':
+      case 'pre':
+        flush();
+        break;
+      case 'br':
+        if (current) appendText('\n');
+        break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        if (closing) {
+          flush();
+        } else {
+          start(`heading_${Math.min(Number(tag[1]), 3)}`);
+        }
+        break;
+      case 'ul':
+      case 'ol':
+        flush();
+        if (closing) {
+          lists.pop();
+        } else {
+          lists.push({ type: tag === 'ul' ? 'bulleted_list_item' : 'numbered_list_item', lastItem: null });
+        }
+        break;
+      case 'li': {
+        flush();
+        if (closing || lists.length === 0) break;
+
+        const list = lists[lists.length - 1];
+        const item = textBlock(list.type);
+        list.lastItem = item;
+
+        // Deeper lists are attached to the deepest level Notion accepts
+        const depth = Math.min(lists.length, MAX_LIST_DEPTH);
+        const parent = depth > 1 ? lists[depth - 2].lastItem : null;
+        if (parent) {
+          parent[parent.type].children = parent[parent.type].children || [];
+          parent[parent.type].children.push(item);
+        } else {
+          blocks.push(item);
+        }
+
+        current = { block: item, runs: [], attached: true };
+        break;
+      }
+      case 'b':
+      case 'strong':
+        marks.bold += closing ? -1 : 1;
+        break;
+      case 'i':
+      case 'em':
+        marks.italic += closing ? -1 : 1;
+        break;
+      case 'u':
+        marks.underline += closing ? -1 : 1;
+        break;
+      case 's':
+      case 'strike':
+      case 'del':
+        marks.strikethrough += closing ? -1 : 1;
+        break;
+      case 'code':
+        marks.code += closing ? -1 : 1;
+        break;
+      case 'a':
+        if (closing) {
+          links.pop();
+        } else {
+          const href = attribute(attrs, 'href');
+          links.push(href && /^(https?:|mailto:)/i.test(href) ? href : null);
+        }
+        break;
+      default:
+        break;
+    }
+
+    Object.keys(marks).forEach(key => { marks[key] = Math.max(0, marks[key]); });
+  }
+
+  flush();
+  return blocks;
+}
+
+export function chunkBlocks(blocks, size = MAX_BLOCKS_PER_REQUEST) {
+  const chunks = [];
+  for (let i = 0; i < blocks.length; i += size) {
+    chunks.push(blocks.slice(i, i + size));
+  }
+  return chunks;
+}
@@ -0,0 +1,135 @@
+/*
+ * notion-client.mjs - Shared Notion API client
+ *
+ * Every Notion call goes through request(), which:
+ * - spaces requests to stay under Notion's ~3 requests/second average
+ * - retries 429, 409 (conflict) and 5xx responses plus network errors with
+ *   exponential backoff, honouring Retry-After when Notion sends it
+ * - gives up after maxRetries and throws a NotionApiError
+ *
+ * Calls that aren't idempotent (creating a page, appending block children) are
+ * only retried on 429 and 409, which Notion rejects before applying anything:
+ * after a 5xx or a lost response the call may have gone through, and repeating
+ * it would duplicate the page or the appended blocks.
+ */
+
+export const NOTION_VERSION = '2022-06-28';
+
+const RETRYABLE_STATUSES = new Set([409, 429, 500, 502, 503, 504]);
+const NOT_APPLIED_STATUSES = new Set([409, 429]);
+
+// GET, DELETE, property PATCHes and database queries can be repeated safely
+function isIdempotent(method, endpoint) {
+  if (method === 'POST') return /^\/databases\/[^/]+\/query$/.test(endpoint);
+  if (method === 'PATCH') return !/\/children$/.test(endpoint);
+  return true;
+}
+
+export class NotionApiError extends Error {
+  constructor(status, code, message) {
+    super(`${status}: ${message}`);
+    this.name = 'NotionApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class NotionClient {
+  constructor({
+    baseUrl = 'https://api.notion.com/v1',
+    token = null,
+    minIntervalMs = 334,
+    maxRetries = 5,
+    maxBackoffMs = 30000
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.token = token;
+    this.minIntervalMs = minIntervalMs;
+    this.maxRetries = maxRetries;
+    this.maxBackoffMs = maxBackoffMs;
+    this.lastRequestAt = 0;
+  }
+
+  async throttle() {
+    const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    this.lastRequestAt = Date.now();
+  }
+
+  backoffMs(attempt, retryAfter) {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) {
+      return Math.min(seconds * 1000, this.maxBackoffMs);
+    }
+    return Math.min(1000 * 2 ** attempt + Math.random() * 250, this.maxBackoffMs);
+  }
+
+  async request(method, endpoint, body = undefined) {
+    const idempotent = isIdempotent(method, endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${endpoint}`, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${this.token || process.env.NOTION_TOKEN}`,
+            'Notion-Version': NOTION_VERSION,
+            'Content-Type': 'application/json'
+          },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+      } catch (error) {
+        if (!idempotent || attempt >= this.maxRetries) {
+          throw new NotionApiError(0, 'network_error', `${error.message} (after ${attempt + 1} attempts)`);
+        }
+        const delay = this.backoffMs(attempt);
+        console.warn(`⚠️  Notion ${method} ${endpoint} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s...`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+
+      const retryable = idempotent ? RETRYABLE_STATUSES : NOT_APPLIED_STATUSES;
+      if (retryable.has(response.status) && attempt < this.maxRetries) {
+        const delay = this.backoffMs(attempt, response.headers.get('retry-after'));
+        console.warn(`⚠️  Notion ${method} ${endpoint} returned ${response.status}, retrying in ${Math.round(delay / 1000)}s...`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw new NotionApiError(response.status, errorData.code || null, errorData.message || response.statusText);
+    }
+  }
+
+  // Every page of a database query. Throws if any page cannot be fetched, so
+  // callers never act on a partial listing.
+  async queryAll(databaseId) {
+    const results = [];
+    let startCursor = undefined;
+
+    do {
+      const data = await this.request('POST', `/databases/${databaseId}/query`, {
+        start_cursor: startCursor,
+        page_size: 100
+      });
+      results.push(...data.results);
+      startCursor = data.has_more ? data.next_cursor : undefined;
+    } while (startCursor);
+
+    return results;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,121 @@
+/*
+ * notion-mapping.mjs - Normalized field -> Notion property mapping
+ *
+ * Both writeNotionPayload() and the Notion uploader build properties from this
+ * mapping, so renaming a property or changing its type only happens here or in
+ * a mapping file.
+ *
+ * Mapping file (notion-mapping.json, or --notion-mapping=<file>):
+ *   {
+ *     "dueDate":     { "name": "Due", "type": "date" },
+ *     "status":      { "name": "Status", "type": "status" },
+ *     "teacherName": { "name": "Teacher", "type": "select", "transform": "teacherName" },
+ *     "agg_total":   null
+ *   }
+ *
+ * Entries are merged over DEFAULT_NOTION_MAPPING; null drops a property.
+ * Keys may use dots to reach nested fields ("grade.points").
+ *
+ * "optional": true marks a property the upload may leave out when the database
+ * lacks it (with a warning) instead of refusing to sync. Properties added after
+ * the original schema are optional so existing databases keep syncing;
+ * --notion-check offers to add them.
+ */
+
+import fs from 'fs';
+
+export const NOTION_PROPERTY_TYPES = [
+  'title', 'rich_text', 'select', 'multi_select', 'status',
+  'date', 'number', 'email', 'url', 'checkbox'
+];
+
+export const NOTION_TRANSFORMS = ['teacherName', 'dateOnly', 'uppercase', 'lowercase'];
+
+export const DEFAULT_NOTION_MAPPING = {
+  title: { name: 'Title', type: 'title' },
+  id: { name: 'Assignment ID', type: 'rich_text' },
+  description: { name: 'Notes', type: 'rich_text' },
+  status: { name: 'Status', type: 'select' },
+  allTurnedIn: { name: 'allTurnedIn', type: 'select' },
+  allowLateSubmissions: { name: 'allowLateSubmissions', type: 'select' },
+  anySubmittedState: { name: 'anySubmittedState', type: 'select' },
+  submissionStatus: { name: 'submissionStatus', type: 'select', optional: true },
+  isLate: { name: 'isLate', type: 'select', optional: true },
+  teacherEmail: { name: 'teacherEmail', type: 'email' },
+  teacherName: { name: 'teacherName', type: 'multi_select', transform: 'teacherName' },
+  classId: { name: 'classId', type: 'rich_text' },
+  className: { name: 'className', type: 'rich_text', optional: true },
+  classCode: { name: 'classCode', type: 'rich_text', optional: true },
+  subject: { name: 'subject', type: 'select', optional: true },
+  webUrl: { name: 'webUrl', type: 'url' },
+  studentCount: { name: 'studentCount', type: 'number' },
+  agg_total: { name: 'agg_total', type: 'number' },
+  agg_submitted: { name: 'agg_submitted', type: 'number' },
+  assignedDate: { name: 'assignedDate', type: 'date' },
+  createdDate: { name: 'createdDate', type: 'date' },
+  dueDate: { name: 'dueDate', type: 'date' },
+  modifiedDate: { name: 'modifiedDate', type: 'date' },
+  submittedDate: { name: 'submittedDate', type: 'date', optional: true },
+  returnedDate: { name: 'returnedDate', type: 'date', optional: true },
+  'grade.points': { name: 'gradePoints', type: 'number', optional: true },
+  'grade.pointsPossible': { name: 'pointsPossible', type: 'number', optional: true },
+  'grade.letter': { name: 'grade', type: 'select', optional: true },
+  'grade.feedback': { name: 'feedback', type: 'rich_text', optional: true }
+};
+
+export const DEFAULT_NOTION_MAPPING_FILE = 'notion-mapping.json';
+
+// Load and validate the mapping. Without a file, the defaults are returned.
+export function loadNotionMapping(file = null) {
+  const mappingFile = file || (fs.existsSync(DEFAULT_NOTION_MAPPING_FILE) ? DEFAULT_NOTION_MAPPING_FILE : null);
+  const mapping = { ...DEFAULT_NOTION_MAPPING };
+
+  if (mappingFile) {
+    let overrides;
+    try {
+      overrides = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read Notion mapping ${mappingFile}: ${error.message}`);
+    }
+
+    for (const [field, entry] of Object.entries(overrides)) {
+      if (entry === null) {
+        delete mapping[field];
+      } else {
+        mapping[field] = { ...mapping[field], ...entry };
+      }
+    }
+  }
+
+  validateNotionMapping(mapping, mappingFile || 'default mapping');
+  return mapping;
+}
+
+export function validateNotionMapping(mapping, label) {
+  const names = new Set();
+
+  for (const [field, entry] of Object.entries(mapping)) {
+    if (!entry.name) {
+      throw new Error(`${label}: "${field}" has no property name`);
+    }
+    if (!NOTION_PROPERTY_TYPES.includes(entry.type)) {
+      throw new Error(`${label}: "${field}" has unsupported type "${entry.type}" (expected one of ${NOTION_PROPERTY_TYPES.join(', ')})`);
+    }
+    if (entry.transform && !NOTION_TRANSFORMS.includes(entry.transform)) {
+      throw new Error(`${label}: "${field}" has unknown transform "${entry.transform}" (expected one of ${NOTION_TRANSFORMS.join(', ')})`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`${label}: property "${entry.name}" is mapped more than once`);
+    }
+    names.add(entry.name);
+  }
+
+  // The assignment ID is how existing pages are matched; Notion requires one title
+  if (!mapping.id) {
+    throw new Error(`${label}: the "id" field must be mapped so existing pages can be matched`);
+  }
+  const titles = Object.values(mapping).filter(entry => entry.type === 'title');
+  if (titles.length !== 1) {
+    throw new Error(`${label}: exactly one property must have type "title" (found ${titles.length})`);
+  }
+}
@@ -0,0 +1,137 @@
+/*
+ * oauth.mjs - Microsoft identity platform calls for the AUI token
+ *
+ * The assignments web app is a public client, so a refresh token captured by
+ * simple-edge-extractor.mjs can be exchanged for a new access token without a
+ * browser. Used by refresh-token.mjs and by the sync when a token expires.
+ *
+ * The same client can also sign in with the device-code flow ("login"
+ * command): the user enters a short code at microsoft.com/devicelogin on any
+ * device while this process polls the token endpoint.
+ *
+ * The school's tenant comes from AUI_TENANT_ID (set per profile when students
+ * are at different schools). AUI_TOKEN_URL overrides the whole token endpoint
+ * (e.g. to target mock-aui-server.mjs); the device-code endpoint sits next to it.
+ */
+
+export const TENANT_ID = 'c6efde5c-812f-4728-8f72-dbc1a1407500';
+export const CLIENT_ID = 'ccb65bcd-04ba-421a-8791-a299a70904b6';
+
+export function tokenUrlForTenant(tenantId) {
+  return `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+}
+
+export const TOKEN_URL = tokenUrlForTenant(TENANT_ID);
+export const SCOPES = 'EduAssignments.Read EduAssignments.ReadWrite EduCurricula.Read EduCurricula.ReadWrite offline_access';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function tokenEndpoint() {
+  return process.env.AUI_TOKEN_URL || tokenUrlForTenant(process.env.AUI_TENANT_ID || TENANT_ID);
+}
+
+function toResult(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresIn: Number(data.expires_in || 0),
+    scope: data.scope || ''
+  };
+}
+
+function failureReason(data, response) {
+  const reason = data.error_description || data.error || `HTTP ${response.status}`;
+  return String(reason).split('\n')[0];
+}
+
+export class OAuthError extends Error {
+  constructor(message, data = {}) {
+    super(message);
+    this.name = 'OAuthError';
+    this.data = data;
+  }
+}
+
+// refresh_token grant -> { accessToken, refreshToken, expiresIn, scope }.
+// Microsoft rotates refresh tokens, so a returned refreshToken replaces the old one.
+export async function refreshAccessToken(refreshToken, { tokenUrl = tokenEndpoint() } = {}) {
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: CLIENT_ID,
+      refresh_token: refreshToken,
+      scope: SCOPES,
+    }).toString(),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.access_token) {
+    throw new OAuthError(`Token refresh failed: ${failureReason(data, response)}`, data);
+  }
+
+  return toResult(data);
+}
+
+// Step 1 of the device-code flow -> { deviceCode, userCode, verificationUri, message, interval, expiresIn }
+export async function requestDeviceCode({ tokenUrl = tokenEndpoint() } = {}) {
+  const response = await fetch(tokenUrl.replace(/\/token$/, '/devicecode'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: CLIENT_ID, scope: SCOPES }).toString(),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.device_code) {
+    throw new OAuthError(`Device code request failed: ${failureReason(data, response)}`, data);
+  }
+
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    message: data.message || '',
+    interval: Number(data.interval || 5),
+    expiresIn: Number(data.expires_in || 900)
+  };
+}
+
+// Step 2: poll until the user has signed in, declined, or the code expired.
+// Returns the same shape as refreshAccessToken().
+export async function pollDeviceCode(device, { tokenUrl = tokenEndpoint() } = {}) {
+  let interval = device.interval;
+  const deadline = Date.now() + device.expiresIn * 1000;
+
+  while (Date.now() < deadline) {
+    await sleep(interval * 1000);
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+        client_id: CLIENT_ID,
+        device_code: device.deviceCode,
+      }).toString(),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok && data.access_token) {
+      return toResult(data);
+    }
+    if (data.error === 'authorization_pending') {
+      continue;
+    }
+    if (data.error === 'slow_down') {
+      interval += 5;
+      continue;
+    }
+    throw new OAuthError(`Device code sign-in failed: ${failureReason(data, response)}`, data);
+  }
+
+  throw new OAuthError('Device code sign-in failed: the code expired before sign-in completed');
+}
@@ -0,0 +1,33 @@
+/*
+ * pool.mjs - Bounded-parallel mapping
+ *
+ * mapPool(items, limit, fn) runs fn(item, index) for every item with at most
+ * `limit` calls in flight and resolves to the results in input order. A
+ * rejection stops new work from starting and is re-thrown once the calls
+ * already running have settled.
+ */
+
+export async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  const workers = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
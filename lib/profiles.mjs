@@ -0,0 +1,113 @@
+/*
+ * profiles.mjs - Named profiles for syncing several accounts (--profile=alice)
+ *
+ * A profile is an env file, profiles/<name>.env, layered over .env: its
+ * AUI_URL, AUI_TENANT_ID, TOKEN_BROWSER_PROFILE ... replace the shared values,
+ * while variables set in the shell still win. Credentials and the Notion target
+ * (PROFILE_ONLY_KEYS) are never taken from .env: a profile without its own
+ * would sync with another student's account or write to their database.
+ *
+ * What a sync writes for the profile lives in profiles/<name>/ instead of the
+ * repo root:
+ *
+ *   state.json      (STATE_FILE)
+ *   outputs/        (OUTPUT_DIR)
+ *   .tokens.enc     (TOKEN_STORE_FILE)
+ *   .cache/         detail cache
+ *   assignments.db  (--store)
+ *
+ * The selected profile reaches the token scripts (simple-edge-extractor.mjs,
+ * refresh-token.mjs) through SYNC_PROFILE, so a refresh started by the sync
+ * saves into the right profile.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadEnvFile, readEnvFile } from './env-file.mjs';
+
+export const PROFILES_DIR = 'profiles';
+
+export const PROFILE_ONLY_KEYS = ['AUI_TOKEN', 'AUI_REFRESH_TOKEN', 'AUI_SESSION_ID', 'GRAPH_TOKEN', 'NOTION_TOKEN', 'NOTION_DATABASE_ID'];
+
+const NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+export function profileFile(name) {
+  return path.join(PROFILES_DIR, `${name}.env`);
+}
+
+export function listProfiles() {
+  try {
+    return fs.readdirSync(PROFILES_DIR)
+      .filter(file => file.endsWith('.env'))
+      .map(file => file.slice(0, -'.env'.length))
+      .filter(name => NAME.test(name))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// --profile=<name> on the command line, else SYNC_PROFILE
+export function selectedProfile(argv = process.argv.slice(2), env = process.env) {
+  const arg = argv.find(value => value.startsWith('--profile='));
+  return arg ? arg.substring('--profile='.length) : (env.SYNC_PROFILE || null);
+}
+
+// Check that the profile exists and make it the active one (SYNC_PROFILE).
+// Returns the name, or null when no profile is selected.
+export function useProfile(name) {
+  if (!name) return null;
+
+  if (!NAME.test(name)) {
+    throw new ProfileError(`Invalid profile name "${name}" (use letters, digits, "-" and "_")`);
+  }
+  if (!fs.existsSync(profileFile(name))) {
+    const known = listProfiles();
+    throw new ProfileError(`Profile "${name}" not found: create ${profileFile(name)}${known.length > 0 ? ` (existing: ${known.join(', ')})` : ''}`);
+  }
+
+  process.env.SYNC_PROFILE = name;
+  return name;
+}
+
+export function activeProfile() {
+  return process.env.SYNC_PROFILE || null;
+}
+
+// The env file scripts should write settings to: the profile's, or .env
+export function envFile() {
+  const name = activeProfile();
+  return name ? profileFile(name) : '.env';
+}
+
+// A data file of the active profile: "state.json" -> profiles/alice/state.json
+export function profilePath(file) {
+  const name = activeProfile();
+  return name ? path.join(PROFILES_DIR, name, file) : file;
+}
+
+// Load the active profile's env file, then .env (without PROFILE_ONLY_KEYS).
+// Without override the first file to set a variable wins; with it the later
+// files are applied first, so the profile still takes precedence over .env.
+export function loadEnvFiles({ override = false } = {}) {
+  const profile = activeProfile();
+  const files = profile ? [envFile(), '.env'] : ['.env'];
+  for (const file of override ? files.reverse() : files) {
+    loadEnvFile(file, { override, exclude: profile && file === '.env' ? PROFILE_ONLY_KEYS : [] });
+  }
+}
+
+// PROFILE_ONLY_KEYS that .env sets but the active profile doesn't have (from
+// its env file, token store or the shell), so callers can say why they're missing
+export function withheldKeys() {
+  if (!activeProfile()) return [];
+  const shared = readEnvFile('.env');
+  return PROFILE_ONLY_KEYS.filter(key => shared[key] && !process.env[key]);
+}
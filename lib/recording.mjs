@@ -0,0 +1,80 @@
+/*
+ * recording.mjs - Record/replay of upstream API responses
+ *
+ * --record=<dir> captures every response the sync receives so the run can be
+ * reproduced later with --from-recording=<dir>, without a token or network.
+ *
+ * Layout:
+ *   <dir>/manifest.json             when/how the recording was made
+ *   <dir>/<kind>/<hash>.json        { key, recordedAt, data }
+ *
+ * Kinds used by sync-assignments.mjs:
+ *   responses   raw fetchWithAuth() bodies, keyed by URL
+ *   assignments the raw assignment list, keyed by "list"
+ *   members     fetchClassMembers() results, keyed by classId
+ *   classes     fetchClassInfo() results, keyed by classId
+ *   details     fetchDetailedAssignment() results, keyed by "classId:assignmentId"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export class ResponseRecorder {
+  constructor(dir, mode) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Unknown recorder mode: ${mode}`);
+    }
+
+    this.dir = dir;
+    this.mode = mode;
+
+    if (this.replaying && !fs.existsSync(path.join(dir, 'manifest.json'))) {
+      throw new Error(`No recording found in ${dir} (missing manifest.json)`);
+    }
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  entryPath(kind, key) {
+    const hash = crypto.createHash('sha1').update(String(key)).digest('hex').substring(0, 16);
+    return path.join(this.dir, kind, `${hash}.json`);
+  }
+
+  save(kind, key, data) {
+    if (!this.recording) return;
+
+    const file = this.entryPath(kind, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      data
+    }, null, 2));
+  }
+
+  // Returns the recorded entry ({ key, recordedAt, data }) or null when missing.
+  load(kind, key) {
+    const file = this.entryPath(kind, key);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeManifest(meta) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, 'manifest.json'), JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      ...meta
+    }, null, 2));
+  }
+
+  readManifest() {
+    return JSON.parse(fs.readFileSync(path.join(this.dir, 'manifest.json'), 'utf8'));
+  }
+}
@@ -0,0 +1,190 @@
+/*
+ * resources.mjs - Assignment resource listing and download (--download-resources)
+ *
+ * Resources come from the detail endpoint's resources(dependentResources())
+ * expansion. Each one is either a file (Word, PDF, PowerPoint, ...) with a
+ * fileUrl pointing at a drive item, or a link/Teams app/OneNote page with a URL.
+ *
+ * Files are saved to <output dir>/resources/<class>/<assignment>/ (by default
+ * outputs/resources/). Each folder keeps a resources.json index
+ * ({ name, type, url, file, size, eTag }) so unchanged files are skipped on the
+ * next run and links stay available offline.
+ *
+ * Credentials only go to the source API's own host: those drive item URLs are
+ * fetched through the sync's fetchWithAuth (retries, token refresh, recording).
+ * Any other host, including pre-authenticated download URLs, gets a plain
+ * request without the Authorization header.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const RESOURCES_DIR = 'outputs/resources';
+const INDEX_FILE = 'resources.json';
+
+// "#microsoft.graph.educationWordResource" -> "word"
+function resourceType(resource) {
+  const match = String(resource['@odata.type'] || '').match(/education(\w+?)Resource$/);
+  return match ? match[1].charAt(0).toLowerCase() + match[1].substring(1) : 'unknown';
+}
+
+export function safeName(name, fallback = 'untitled') {
+  const cleaned = String(name || '')
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .substring(0, 80);
+  return cleaned || fallback;
+}
+
+// Flatten resources and their dependent resources into one list
+export function listResources(rawResources) {
+  const list = [];
+
+  const visit = (entries, dependent) => {
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const resource = entry.resource || {};
+      const type = resourceType(resource);
+      const fileUrl = resource.fileUrl || null;
+
+      list.push({
+        id: String(entry.id || ''),
+        name: String(resource.displayName || entry.id || ''),
+        type,
+        kind: fileUrl ? 'file' : 'link',
+        url: String(fileUrl || resource.link || resource.teamsEmbeddedContentUrl || resource.webUrl || ''),
+        dependent
+      });
+
+      visit(entry.dependentResources, true);
+    }
+  };
+
+  visit(rawResources, false);
+  return list;
+}
+
+export function resourceDir(item, root = RESOURCES_DIR) {
+  const classFolder = safeName(item.className, item.classId || 'unknown-class');
+  const assignmentFolder = `${safeName(item.title, 'assignment')} (${item.id.substring(0, 8)})`;
+  return path.join(root, classFolder, assignmentFolder);
+}
+
+function readIndex(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// Download the file resources of one assignment and write its index.
+// Returns the resource list with localPath/size filled in, plus counts.
+//   apiHost        host of the source API, the only one sent credentials
+//   fetchWithAuth  url -> parsed JSON, authenticated (AssignmentSync.fetchWithAuth)
+//   headers        auth headers for same-host file content
+export async function downloadResources(item, resources, { root = RESOURCES_DIR, apiHost, fetchWithAuth, headers }) {
+  const dir = resourceDir(item, root);
+  const previous = new Map(readIndex(dir).map(entry => [entry.url, entry]));
+  const counts = { downloaded: 0, unchanged: 0, failed: 0 };
+  const index = [];
+  const usedNames = new Set();
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const resource of resources) {
+    const entry = { name: resource.name, type: resource.type, url: resource.url, file: null, size: null, eTag: null };
+
+    if (resource.kind === 'file' && resource.url) {
+      let fileName = safeName(resource.name, resource.id || 'file');
+      while (usedNames.has(fileName)) fileName = `_${fileName}`;
+      usedNames.add(fileName);
+
+      try {
+        const result = await downloadFile(resource.url, path.join(dir, fileName), previous.get(resource.url), { apiHost, fetchWithAuth, headers });
+        Object.assign(entry, { file: fileName, size: result.size, eTag: result.eTag });
+        counts[result.skipped ? 'unchanged' : 'downloaded']++;
+      } catch (error) {
+        console.warn(`⚠️  Could not download "${resource.name}" for ${item.title}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+
+    index.push(entry);
+  }
+
+  fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify(index, null, 2));
+
+  const listed = resources.map((resource, i) => ({
+    ...resource,
+    localPath: index[i].file ? path.join(dir, index[i].file) : '',
+    size: index[i].size
+  }));
+
+  return { resources: listed, counts };
+}
+
+function sameHost(url, host) {
+  try {
+    return new URL(url).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// fileUrl is a drive item: its metadata gives size, eTag and a pre-authenticated
+// download URL. Anything else is treated as the file itself.
+async function downloadFile(url, target, previous, { apiHost, fetchWithAuth, headers }) {
+  const unchanged = (size, eTag) =>
+    previous && fs.existsSync(target) &&
+    previous.size === size && previous.eTag === eTag &&
+    fs.statSync(target).size === size;
+
+  const saveDriveItem = async (driveItem, trusted) => {
+    const size = Number(driveItem.size ?? -1);
+    const eTag = driveItem.eTag || null;
+
+    if (unchanged(size, eTag)) {
+      return { skipped: true, size, eTag };
+    }
+
+    const downloadUrl = driveItem['@microsoft.graph.downloadUrl'];
+    if (!downloadUrl && !trusted) {
+      throw new Error('drive item has no download URL');
+    }
+    // The download URL carries its own authorization; /content needs ours
+    const content = await fetch(downloadUrl || `${url}/content`, downloadUrl ? {} : { headers });
+    if (!content.ok) {
+      throw new Error(`HTTP ${content.status} downloading content`);
+    }
+    const data = Buffer.from(await content.arrayBuffer());
+    fs.writeFileSync(target, data);
+    return { skipped: false, size: data.length, eTag };
+  };
+
+  if (apiHost && sameHost(url, apiHost)) {
+    return saveDriveItem(await fetchWithAuth(url), true);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  if ((response.headers.get('content-type') || '').includes('application/json')) {
+    return saveDriveItem(await response.json(), false);
+  }
+
+  const size = Number(response.headers.get('content-length') ?? -1);
+  const eTag = response.headers.get('etag');
+
+  if (unchanged(size, eTag)) {
+    await response.body?.cancel();
+    return { skipped: true, size, eTag };
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  fs.writeFileSync(target, data);
+  return { skipped: false, size: data.length, eTag };
+}
@@ -0,0 +1,274 @@
+/*
+ * sources.mjs - Assignment source implementations
+ *
+ * A source knows how to talk to one upstream API. Every source exposes the
+ * same calls so AssignmentSync can stay endpoint-agnostic:
+ *
+ * - fetchList(window)                   -> raw assignments (AUI-shaped)
+ * - fetchDetails(classId, assignmentId) -> one raw assignment with rubric/resources
+ * - fetchClassMembers(classId)          -> [{ id, displayName, email, role }]
+ * - fetchClass(classId)                 -> { id, displayName, description, code, subject }
+ *
+ * window is { dueAfter, dueBefore, statuses, incomplete }. Each source lists the
+ * window keys it applies itself in serverFilters; AssignmentSync.applyFilters()
+ * handles the rest client-side.
+ *
+ * A source that skips part of the list (GraphSource when one class fails)
+ * names what it skipped in failedClasses, so the list isn't treated as complete.
+ *
+ * Raw assignments are returned in the AUI shape (displayName, dueDateTime,
+ * classId, allTurnedIn, submissionAggregates, ...) so normalizeAssignment()
+ * produces identical records whichever source is selected.
+ */
+
+import { AuthError } from './api-errors.mjs';
+
+// Default base URLs. Override with AUI_API_BASE / GRAPH_API_BASE
+// (e.g. http://localhost:4010/api/v1.0) to target mock-aui-server.mjs.
+export const AUI_API_BASE = 'https://assignments.onenote.com/api/v1.0';
+export const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+
+export const SOURCE_NAMES = ['aui', 'graph'];
+
+const AUI_STATUS_TYPE = 'microsoft.education.assignments.api.educationAssignmentStatus';
+
+// OData $filter for the AUI work feed, e.g.
+// (status eq ...'assigned') and isCompleted eq false and dueDateTime ge 2025-09-01T00:00:00.000Z
+export function buildAuiFilter({ dueAfter, dueBefore, statuses = [], incomplete = false } = {}) {
+  const clauses = [];
+
+  if (statuses.length > 0) {
+    clauses.push(`(${statuses.map(status => `status eq ${AUI_STATUS_TYPE}'${status}'`).join(' or ')})`);
+  }
+  if (incomplete) {
+    clauses.push('isCompleted eq false');
+  }
+  if (dueAfter) {
+    clauses.push(`dueDateTime ge ${dueAfter.toISOString()}`);
+  }
+  if (dueBefore) {
+    clauses.push(`dueDateTime le ${dueBefore.toISOString()}`);
+  }
+
+  return clauses.join(' and ');
+}
+
+// School class names mix the subject with set/year codes, e.g.
+// "12B/Ec1 Economics", "Y10 Maths (Set 2)" or "2025-26 History - 11C".
+// Drop bracketed parts and any token containing a digit; what remains is the subject.
+export function parseClassSubject(displayName) {
+  const words = String(displayName || '')
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .split(/[\s/|_:-]+/)
+    .filter(word => word && !/\d/.test(word));
+
+  return words.join(' ').trim();
+}
+
+// Class metadata in one shape for both APIs. Graph calls the subject code
+// classCode or course.courseNumber; AUI and SDS-provisioned classes use externalId.
+export function toClassInfo(raw, classId) {
+  const course = raw.course || {};
+  const displayName = String(raw.displayName || raw.externalName || '');
+
+  return {
+    id: String(raw.id || classId),
+    displayName,
+    description: String(raw.description || ''),
+    code: String(raw.classCode || course.courseNumber || course.code || raw.externalId || ''),
+    subject: String(course.subject || parseClassSubject(displayName))
+  };
+}
+
+export class AuiSource {
+  constructor(sync) {
+    this.sync = sync;
+    this.name = 'aui';
+    this.tokenEnv = 'AUI_TOKEN';
+    this.baseUrl = process.env.AUI_API_BASE || AUI_API_BASE;
+    this.serverFilters = ['dueAfter', 'dueBefore', 'statuses', 'incomplete'];
+  }
+
+  headers() {
+    return {
+      'Authorization': `Bearer ${process.env.AUI_TOKEN}`,
+      'Accept': 'application/json, text/plain, */*',
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/26.0 Safari/605.1.15',
+      'Referer': 'https://assignments.onenote.com/',
+      'Accept-Language': 'en-GB,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Sec-Fetch-Site': 'same-origin',
+      'Sec-Fetch-Mode': 'cors',
+      'Sec-Fetch-Dest': 'empty',
+      'Priority': 'u=3, i',
+      'x-aui-version': 'aui.v20250908.5',
+      'MS-Int-AppID': 'assignments-ui',
+      'x-correlationid': this.sync.generateCorrelationId(),
+      'x-aui-app': 'assignments',
+      'x-teams-ring': 'general',
+      'x-usersessionid': process.env.AUI_SESSION_ID || this.sync.generateCorrelationId(),
+      'X-MS-IsWeekView': 'undefined',
+      'x-rh': '1'
+    };
+  }
+
+  async fetchList(window = {}) {
+    let url = process.env.AUI_URL;
+
+    if (!url) {
+      throw new Error('AUI_URL environment variable is required');
+    }
+
+    // Ensure we control the date filter
+    try {
+      const parsed = new URL(url);
+
+      // Replace any existing $filter with one built from the requested window
+      const filter = buildAuiFilter(window);
+      parsed.searchParams.delete('$filter');
+      if (filter) {
+        parsed.searchParams.set('$filter', filter);
+      }
+
+      url = parsed.toString();
+    } catch {
+      // If URL parsing fails, just fall back to the original string
+    }
+
+    return this.sync.fetchAllPages(url, this.headers());
+  }
+
+  async fetchDetails(classId, assignmentId) {
+    const detailUrl = `${this.baseUrl}/edu/classes/${classId}/assignments/${assignmentId}?\$expand=rubric,resources(\$expand=dependentResources),postSubmitOperations,gradingCategory,submissionAggregates,gradingScheme`;
+
+    return this.sync.fetchWithAuth(detailUrl, {
+      ...this.headers(),
+      'Prefer': 'AssignmentStatusV2'
+    });
+  }
+
+  async fetchClassMembers(classId) {
+    const membersUrl = `${this.baseUrl}/edu/classes/${classId}/members?\$orderBy=displayName%20asc`;
+    const data = await this.sync.fetchWithAuth(membersUrl, this.headers());
+
+    return (Array.isArray(data.value) ? data.value : []).map(member => ({
+      id: member.id,
+      displayName: member.displayName,
+      email: member.email,
+      role: member.role
+    }));
+  }
+
+  async fetchClass(classId) {
+    const data = await this.sync.fetchWithAuth(`${this.baseUrl}/edu/classes/${classId}`, this.headers());
+    return toClassInfo(data, classId);
+  }
+}
+
+export class GraphSource {
+  constructor(sync) {
+    this.sync = sync;
+    this.name = 'graph';
+    this.tokenEnv = 'GRAPH_TOKEN';
+    this.baseUrl = process.env.GRAPH_API_BASE || GRAPH_API_BASE;
+    this.serverFilters = ['dueAfter', 'dueBefore'];
+    this.failedClasses = []; // Class names whose assignments could not be listed
+  }
+
+  headers() {
+    return {
+      'Authorization': `Bearer ${process.env.GRAPH_TOKEN}`,
+      'Accept': 'application/json'
+    };
+  }
+
+  async fetchList({ dueAfter, dueBefore } = {}) {
+    const classes = await this.sync.fetchAllPages(`${this.baseUrl}/education/me/classes`, this.headers());
+    console.log(`✅ Found ${classes.length} classes via Graph API`);
+
+    const allAssignments = [];
+
+    for (const classInfo of classes) {
+      let assignments;
+      try {
+        assignments = await this.sync.fetchAllPages(
+          `${this.baseUrl}/education/classes/${classInfo.id}/assignments?$expand=submissions($expand=outcomes)`,
+          this.headers()
+        );
+      } catch (error) {
+        // An expired token fails every class; let the caller refresh it
+        if (error instanceof AuthError) throw error;
+        console.warn(`⚠️  Could not fetch assignments for ${classInfo.displayName}: ${error.message}`);
+        this.failedClasses.push(classInfo.displayName || classInfo.id);
+        continue;
+      }
+
+      for (const assignment of assignments) {
+        // Graph has no server-side dueDateTime filter on this endpoint
+        const due = assignment.dueDateTime ? new Date(assignment.dueDateTime) : null;
+        if (due && ((dueAfter && due < dueAfter) || (dueBefore && due > dueBefore))) {
+          continue;
+        }
+        allAssignments.push(this.toAuiShape(assignment, classInfo.id));
+      }
+    }
+
+    return allAssignments;
+  }
+
+  async fetchDetails(classId, assignmentId) {
+    const detailUrl = `${this.baseUrl}/education/classes/${classId}/assignments/${assignmentId}?$expand=resources,rubric,gradingCategory,submissions($expand=outcomes)`;
+    const assignment = await this.sync.fetchWithAuth(detailUrl, this.headers());
+    return this.toAuiShape(assignment, classId);
+  }
+
+  async fetchClassMembers(classId) {
+    // Graph splits class membership into members and teachers; tag roles so the
+    // result matches the AUI members endpoint.
+    const [members, teachers] = await Promise.all([
+      this.sync.fetchAllPages(`${this.baseUrl}/education/classes/${classId}/members`, this.headers()),
+      this.sync.fetchAllPages(`${this.baseUrl}/education/classes/${classId}/teachers`, this.headers())
+    ]);
+    const teacherIds = new Set(teachers.map(teacher => teacher.id));
+
+    return members.map(member => ({
+      id: member.id,
+      displayName: member.displayName,
+      email: member.mail || member.userPrincipalName,
+      role: teacherIds.has(member.id) ? 'teacher' : 'student'
+    }));
+  }
+
+  async fetchClass(classId) {
+    const data = await this.sync.fetchWithAuth(`${this.baseUrl}/education/classes/${classId}`, this.headers());
+    return toClassInfo(data, classId);
+  }
+
+  // Map a Graph educationAssignment onto the AUI field names.
+  toAuiShape(assignment, classId) {
+    const submissions = Array.isArray(assignment.submissions) ? assignment.submissions : [];
+    const submitted = submissions.filter(s => s.status === 'submitted' || s.status === 'returned').length;
+
+    return {
+      ...assignment,
+      classId: assignment.classId || classId,
+      allTurnedIn: submissions.length > 0 && submitted === submissions.length,
+      anySubmittedState: submitted > 0,
+      submissionAggregates: {
+        total: submissions.length,
+        submitted
+      }
+    };
+  }
+}
+
+export function createSource(name, sync) {
+  switch (name) {
+    case 'aui':
+      return new AuiSource(sync);
+    case 'graph':
+      return new GraphSource(sync);
+    default:
+      throw new Error(`Unknown source "${name}". Use one of: ${SOURCE_NAMES.join(', ')}`);
+  }
+}
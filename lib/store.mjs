@@ -0,0 +1,186 @@
+/*
+ * store.mjs - Local SQLite datastore (--store)
+ *
+ * The API window starts at the beginning of the current month, so the JSON/CSV
+ * exports only ever hold recent work. The store keeps every assignment ever
+ * seen, so --export-from-store can write the full history.
+ *
+ * Tables:
+ *   assignments  latest normalized record per assignment (+ first/last seen)
+ *   snapshots    one row per distinct version of an assignment (see changes.mjs)
+ *   classes      class names, codes and subjects
+ *   teachers     teacher names/emails, keyed by email (or name when hidden)
+ *   sync_runs    one row per sync: source, counts, outcome
+ *
+ * better-sqlite3 is a native module (an optional dependency, Node 20+), so it is
+ * only loaded by AssignmentStore.open().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { snapshotFields, snapshotHash } from './changes.mjs';
+
+export const DEFAULT_STORE_FILE = 'assignments.db';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS classes (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    code TEXT,
+    subject TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS teachers (
+    key TEXT PRIMARY KEY,
+    name TEXT,
+    email TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    source TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    fetched INTEGER,
+    exported INTEGER,
+    added INTEGER,
+    changed INTEGER,
+    error TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS assignments (
+    id TEXT PRIMARY KEY,
+    class_id TEXT REFERENCES classes(id),
+    teacher_key TEXT REFERENCES teachers(key),
+    title TEXT,
+    due_date TEXT,
+    status TEXT,
+    submission_status TEXT,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL,
+    last_run_id INTEGER REFERENCES sync_runs(id),
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    assignment_id TEXT NOT NULL REFERENCES assignments(id),
+    run_id INTEGER REFERENCES sync_runs(id),
+    hash TEXT NOT NULL,
+    taken_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_assignments_due ON assignments(due_date);
+  CREATE INDEX IF NOT EXISTS idx_snapshots_assignment ON snapshots(assignment_id, id);
+`;
+
+export class AssignmentStore {
+  static async open(file = DEFAULT_STORE_FILE) {
+    const { default: Database } = await import('better-sqlite3');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return new AssignmentStore(new Database(file), file);
+  }
+
+  constructor(db, file) {
+    this.file = file;
+    this.db = db;
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+  }
+
+  startRun(source) {
+    const result = this.db
+      .prepare('INSERT INTO sync_runs (started_at, source) VALUES (?, ?)')
+      .run(new Date().toISOString(), source);
+    return Number(result.lastInsertRowid);
+  }
+
+  finishRun(runId, { status = 'ok', fetched = null, exported = null, added = null, changed = null, error = null } = {}) {
+    this.db.prepare(`
+      UPDATE sync_runs
+      SET finished_at = ?, status = ?, fetched = ?, exported = ?, added = ?, changed = ?, error = ?
+      WHERE id = ?
+    `).run(new Date().toISOString(), status, fetched, exported, added, changed, error, runId);
+  }
+
+  // Upsert the run's assignments with their classes and teachers, adding a
+  // snapshot whenever the tracked fields differ from the latest one.
+  saveAssignments(items, runId) {
+    const now = new Date().toISOString();
+
+    const upsertClass = this.db.prepare(`
+      INSERT INTO classes (id, name, code, subject, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, code = excluded.code,
+        subject = excluded.subject, updated_at = excluded.updated_at
+    `);
+    const upsertTeacher = this.db.prepare(`
+      INSERT INTO teachers (key, name, email, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET name = excluded.name, email = excluded.email, updated_at = excluded.updated_at
+    `);
+    const upsertAssignment = this.db.prepare(`
+      INSERT INTO assignments (id, class_id, teacher_key, title, due_date, status, submission_status,
+        first_seen, last_seen, last_run_id, data)
+      VALUES (@id, @classId, @teacherKey, @title, @dueDate, @status, @submissionStatus, @now, @now, @runId, @data)
+      ON CONFLICT(id) DO UPDATE SET class_id = excluded.class_id, teacher_key = excluded.teacher_key,
+        title = excluded.title, due_date = excluded.due_date, status = excluded.status,
+        submission_status = excluded.submission_status, last_seen = excluded.last_seen,
+        last_run_id = excluded.last_run_id, data = excluded.data
+    `);
+    const latestHash = this.db.prepare('SELECT hash FROM snapshots WHERE assignment_id = ? ORDER BY id DESC LIMIT 1').pluck();
+    const insertSnapshot = this.db.prepare(
+      'INSERT INTO snapshots (assignment_id, run_id, hash, taken_at, data) VALUES (?, ?, ?, ?, ?)'
+    );
+
+    const save = this.db.transaction(() => {
+      for (const item of items) {
+        if (item.classId) {
+          upsertClass.run(item.classId, item.className || null, item.classCode || null, item.subject || null, now);
+        }
+
+        const teacherKey = item.teacherEmail || item.teacherName || null;
+        if (teacherKey) {
+          upsertTeacher.run(teacherKey, item.teacherName || null, item.teacherEmail || null, now);
+        }
+
+        const data = JSON.stringify(item);
+        upsertAssignment.run({
+          id: item.id,
+          classId: item.classId || null,
+          teacherKey,
+          title: item.title,
+          dueDate: item.dueDate || null,
+          status: item.status || null,
+          submissionStatus: item.submissionStatus || null,
+          now,
+          runId,
+          data
+        });
+
+        const hash = snapshotHash(snapshotFields(item));
+        if (latestHash.get(item.id) !== hash) {
+          insertSnapshot.run(item.id, runId, hash, now, data);
+        }
+      }
+    });
+
+    save();
+  }
+
+  // Every assignment ever stored, latest version, ordered by due date
+  allAssignments() {
+    return this.db
+      .prepare('SELECT data FROM assignments ORDER BY due_date IS NULL, due_date, id')
+      .pluck()
+      .all()
+      .map(data => JSON.parse(data));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
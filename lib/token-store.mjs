@@ -0,0 +1,201 @@
+/*
+ * token-store.mjs - Encrypted storage for access and refresh tokens
+ *
+ * Tokens live in .tokens.enc (TOKEN_STORE_FILE; profiles/<name>/.tokens.enc
+ * for a profile, see profiles.mjs) instead of plaintext .env.
+ * The file is AES-256-GCM encrypted with a key derived (scrypt) from either
+ *   - TOKEN_STORE_PASSPHRASE, or
+ *   - a key file: TOKEN_STORE_KEY_FILE, default .tokens.key, created with
+ *     mode 600 on first save when no passphrase is set.
+ *
+ * Each token keeps metadata next to its value:
+ *   { value, obtainedAt, expiresAt, scopes, source }
+ * where source says who stored it (edge-extractor, refresh-token, sync, import).
+ *
+ * Writes go to a temp file that is renamed over the store, so an interrupted
+ * write never leaves a truncated file.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { writeFileAtomic } from './env-file.mjs';
+import { profilePath } from './profiles.mjs';
+
+export const DEFAULT_TOKEN_FILE = '.tokens.enc';
+export const DEFAULT_KEY_FILE = '.tokens.key';
+
+// Names the scripts store; anything else is allowed but not listed by default
+export const TOKEN_NAMES = ['AUI_TOKEN', 'AUI_REFRESH_TOKEN', 'GRAPH_TOKEN'];
+
+export class TokenStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenStoreError';
+  }
+}
+
+// Claims of a JWT access token, or null (refresh tokens are opaque)
+export function decodeJwt(token) {
+  try {
+    const payload = String(token).split('.')[1];
+    return payload ? JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Metadata for a token value: expiry and scopes come from the JWT claims when
+// present, otherwise from what the OAuth response reported.
+export function tokenMetadata(value, { source = 'unknown', scopes = null, expiresIn = null, obtainedAt = new Date() } = {}) {
+  const claims = decodeJwt(value);
+  const expiresAt = claims?.exp
+    ? new Date(claims.exp * 1000)
+    : (expiresIn ? new Date(obtainedAt.getTime() + expiresIn * 1000) : null);
+  const scopeList = scopes
+    ? String(scopes).split(/\s+/).filter(Boolean)
+    : String(claims?.scp || '').split(/\s+/).filter(Boolean);
+
+  return {
+    obtainedAt: obtainedAt.toISOString(),
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    scopes: scopeList,
+    source
+  };
+}
+
+export class TokenStore {
+  constructor({
+    file = process.env.TOKEN_STORE_FILE || profilePath(DEFAULT_TOKEN_FILE),
+    passphrase = process.env.TOKEN_STORE_PASSPHRASE || null,
+    keyFile = process.env.TOKEN_STORE_KEY_FILE || DEFAULT_KEY_FILE
+  } = {}) {
+    this.file = file;
+    this.passphrase = passphrase;
+    this.keyFile = keyFile;
+    this.tokens = null; // Loaded lazily
+  }
+
+  get backend() {
+    return this.passphrase ? 'passphrase' : `key file (${this.keyFile})`;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  keyMaterial(create) {
+    if (this.passphrase) {
+      return Buffer.from(this.passphrase, 'utf8');
+    }
+    if (!fs.existsSync(this.keyFile)) {
+      if (!create) {
+        throw new TokenStoreError(`Key file ${this.keyFile} not found; set TOKEN_STORE_PASSPHRASE or TOKEN_STORE_KEY_FILE`);
+      }
+      writeFileAtomic(this.keyFile, crypto.randomBytes(32).toString('hex') + '\n', 0o600);
+    }
+    return Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'utf8');
+  }
+
+  deriveKey(salt, create = false) {
+    return crypto.scryptSync(this.keyMaterial(create), salt, 32);
+  }
+
+  load() {
+    if (this.tokens) return this.tokens;
+    if (!this.exists()) {
+      this.tokens = {};
+      return this.tokens;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new TokenStoreError(`Token store ${this.file} is unreadable: ${error.message}`);
+    }
+
+    try {
+      const key = this.deriveKey(Buffer.from(envelope.salt, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      this.tokens = JSON.parse(plain.toString('utf8')).tokens || {};
+    } catch (error) {
+      if (error instanceof TokenStoreError) throw error;
+      throw new TokenStoreError(`Cannot decrypt ${this.file}: wrong passphrase or key file`);
+    }
+    return this.tokens;
+  }
+
+  // Fresh salt and IV on every save
+  save() {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = this.deriveKey(salt, true);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify({ tokens: this.load() }), 'utf8'),
+      cipher.final()
+    ]);
+
+    const envelope = {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    writeFileAtomic(this.file, JSON.stringify(envelope, null, 2) + '\n', 0o600);
+  }
+
+  get(name) {
+    return this.load()[name] || null;
+  }
+
+  set(name, value, metadata = {}) {
+    this.load()[name] = { value, ...tokenMetadata(value, metadata) };
+  }
+
+  delete(name) {
+    delete this.load()[name];
+  }
+
+  // Store several tokens from one source and save once
+  update(values, metadata = {}) {
+    for (const [name, value] of Object.entries(values)) {
+      if (value) this.set(name, value, metadata);
+    }
+    this.save();
+  }
+
+  // Save the result of an OAuth grant (see oauth.mjs). Microsoft rotates refresh
+  // tokens, so a returned one replaces the stored one; expires_in only describes
+  // the access token.
+  saveOAuthResult(result, source) {
+    this.set('AUI_TOKEN', result.accessToken, { source, scopes: result.scope, expiresIn: result.expiresIn });
+    if (result.refreshToken) {
+      this.set('AUI_REFRESH_TOKEN', result.refreshToken, { source, scopes: result.scope });
+    }
+    this.save();
+  }
+
+  // One line of facts per stored token, for "tokens status"
+  status(now = new Date()) {
+    return Object.entries(this.load()).map(([name, entry]) => {
+      const expiresAt = entry.expiresAt ? new Date(entry.expiresAt) : null;
+      return {
+        name,
+        source: entry.source,
+        obtainedAt: entry.obtainedAt,
+        expiresAt: entry.expiresAt,
+        expired: Boolean(expiresAt && expiresAt <= now),
+        scopes: entry.scopes || [],
+        preview: `${String(entry.value).substring(0, 12)}…`
+      };
+    });
+  }
+}
@@ -0,0 +1,676 @@
+#!/usr/bin/env node
+
+/*
+ * mock-aui-server.mjs - Local stand-in for the AUI and Notion APIs
+ *
+ * Serves the endpoints sync-assignments.mjs calls so the full pipeline
+ * (pagination, auth failures, Notion upserts) can be exercised end-to-end
+ * without a school account or a real Notion workspace.
+ *
+ * AUI:
+ *   GET  /api/v1.0/edu/me/work                          paged via @odata.nextLink
+ *   GET  /api/v1.0/edu/classes/{id}
+ *   GET  /api/v1.0/edu/classes/{id}/members
+ *   GET  /api/v1.0/edu/classes/{id}/assignments/{id}    detail ($expand is ignored)
+ *   GET  /api/v1.0/drive/items/{id}                     resource metadata (size, eTag, downloadUrl)
+ *   GET  /__mock/download/{id}                          resource content (no auth)
+ * OAuth:
+ *   POST /oauth2/v2.0/devicecode                        device code (signed in after the first poll)
+ *   POST /oauth2/v2.0/token                             refresh_token and device_code grants
+ * Notion:
+ *   POST /v1/databases                                  create a database
+ *   GET  /v1/databases/{id}                             schema (mock-db is pre-seeded)
+ *   PATCH /v1/databases/{id}                            add/rename properties
+ *   POST /v1/databases/{id}/query                       paged via next_cursor
+ *   POST /v1/pages
+ *   PATCH /v1/pages/{id}
+ *   GET|PATCH /v1/blocks/{id}/children                  page body (append)
+ *   DELETE /v1/blocks/{id}
+ * Inspection:
+ *   GET  /__mock/state                                  request counts + Notion pages
+ *   POST /__mock/reset                                  clear Notion pages and counters
+ *
+ * Usage:
+ *   node mock-aui-server.mjs [--port=4010] [--assignments=12] [--page-size=5] [--expire-after=N] [--notion-429=N] [--latency=MS] [--flaky=N] [--legacy-schema] [--forbid-class=N]
+ *
+ * --expire-after=N  AUI requests after the Nth get 401 unless they use a refreshed token
+ * --notion-429=N    the first N Notion requests get 429 with Retry-After: 1
+ * --latency=MS      delay every AUI response by MS milliseconds
+ * --flaky=N         every Nth AUI request gets 503 with Retry-After: 1
+ * --legacy-schema   seed mock-db without the optional properties (an older database)
+ * --forbid-class=N  the Nth class (1-3) answers its info, members and details with 403
+ *
+ * Then point the sync at it with the environment it prints on startup.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { DEFAULT_NOTION_MAPPING } from './lib/notion-mapping.mjs';
+
+// The signed-in student; every assignment carries one submission for them.
+export const MOCK_STUDENT_ID = 'me';
+
+export const MOCK_REFRESH_TOKEN = 'mock-refresh-token';
+
+// Unsigned JWT-shaped token; validateToken() only checks the shape and exp.
+// The random jti keeps a token minted in the same second as another distinct,
+// so a refreshed token never reads as the expired initial one.
+export function createMockToken(expiresInSeconds = 24 * 60 * 60) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const header = encode({ alg: 'none', typ: 'JWT' });
+  const payload = encode({
+    aud: 'mock-aui',
+    oid: MOCK_STUDENT_ID,
+    jti: crypto.randomUUID(),
+    exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+  return `${header}.${payload}.mock`;
+}
+
+// Schema of the pre-seeded "mock-db" database: property name -> Notion type.
+// Mirrors the properties sync-assignments.mjs writes by default.
+export const MOCK_DATABASE_ID = 'mock-db';
+export const MOCK_DATABASE_SCHEMA = {
+  'Title': 'title',
+  'Assignment ID': 'rich_text',
+  'Notes': 'rich_text',
+  'Status': 'select',
+  'allTurnedIn': 'select',
+  'allowLateSubmissions': 'select',
+  'anySubmittedState': 'select',
+  'submissionStatus': 'select',
+  'isLate': 'select',
+  'teacherEmail': 'email',
+  'teacherName': 'multi_select',
+  'classId': 'rich_text',
+  'className': 'rich_text',
+  'classCode': 'rich_text',
+  'subject': 'select',
+  'webUrl': 'url',
+  'studentCount': 'number',
+  'agg_total': 'number',
+  'agg_submitted': 'number',
+  'assignedDate': 'date',
+  'createdDate': 'date',
+  'dueDate': 'date',
+  'modifiedDate': 'date',
+  'submittedDate': 'date',
+  'returnedDate': 'date',
+  'gradePoints': 'number',
+  'pointsPossible': 'number',
+  'grade': 'select',
+  'feedback': 'rich_text'
+};
+
+// Returned by the assignment detail endpoint for every assignment
+const MOCK_RUBRIC = {
+  displayName: 'Essay rubric',
+  qualities: [
+    { qualityId: 'q1', displayName: 'Argument' },
+    { qualityId: 'q2', displayName: 'Evidence' }
+  ],
+  levels: [
+    { levelId: 'l1', displayName: 'Developing', grading: { maxPoints: 10 } },
+    { levelId: 'l2', displayName: 'Secure', grading: { maxPoints: 20 } },
+    { levelId: 'l3', displayName: 'Excellent', grading: { maxPoints: 30 } }
+  ]
+};
+const MOCK_GRADING_SCHEME = {
+  displayName: 'Letter grades',
+  grades: [
+    { displayName: 'A', minPercentage: 80 },
+    { displayName: 'B', minPercentage: 60 },
+    { displayName: 'C', minPercentage: 40 },
+    { displayName: 'U', minPercentage: 0 }
+  ]
+};
+
+// Published points, feedback and rubric selections for a returned submission
+function mockOutcomes(i) {
+  const points = 45 + (i * 7) % 55;
+  return [
+    {
+      '@odata.type': '#microsoft.graph.educationPointsOutcome',
+      publishedPoints: { points }
+    },
+    {
+      '@odata.type': '#microsoft.graph.educationFeedbackOutcome',
+      publishedFeedback: { text: { content: `Good work on task ${i + 1}.`, contentType: 'text' } }
+    },
+    {
+      '@odata.type': '#microsoft.graph.educationRubricOutcome',
+      publishedRubricQualitySelectedLevels: [
+        { qualityId: 'q1', columnId: points >= 80 ? 'l3' : 'l2' },
+        { qualityId: 'q2', columnId: points >= 60 ? 'l2' : 'l1' }
+      ],
+      publishedRubricQualityFeedback: [
+        { qualityId: 'q2', feedback: { content: 'Cite more sources.', contentType: 'text' } }
+      ]
+    }
+  ];
+}
+
+// A worksheet (drive item) with a dependent link, plus a standalone link
+function mockResources(assignment, origin) {
+  const n = Number(assignment.id.slice(-4));
+  return [
+    {
+      id: `r${n}-1`,
+      resource: {
+        '@odata.type': '#microsoft.graph.educationWordResource',
+        displayName: `Worksheet ${n}.docx`,
+        fileUrl: `${origin}/api/v1.0/drive/items/file-${n}`
+      },
+      dependentResources: [{
+        id: `r${n}-2`,
+        resource: {
+          '@odata.type': '#microsoft.graph.educationLinkResource',
+          displayName: 'Mark scheme',
+          link: `https://example.org/mark-scheme/${n}`
+        }
+      }]
+    },
+    {
+      id: `r${n}-3`,
+      resource: {
+        '@odata.type': '#microsoft.graph.educationLinkResource',
+        displayName: 'Background reading',
+        link: 'https://example.org/reading'
+      }
+    }
+  ];
+}
+
+export function createFixtures(assignmentCount = 12) {
+  const classes = [
+    { id: 'c0000000-0000-4000-8000-000000000001', displayName: '12B/Ec1 Economics', externalId: 'EC12B', subject: 'Economics', teacher: 'Page, Ben - BTP' },
+    { id: 'c0000000-0000-4000-8000-000000000002', displayName: '12A/Ma2 Mathematics', externalId: 'MA12A', subject: 'Mathematics', teacher: 'Smith, Anna - ASM' },
+    { id: 'c0000000-0000-4000-8000-000000000003', displayName: '12C/Hi1 History', externalId: 'HI12C', subject: 'History', teacher: 'Jones, Carl - CJO' }
+  ];
+
+  const members = new Map(classes.map((cls, c) => [cls.id, [
+    { id: `t${c}`, displayName: cls.teacher, email: `teacher${c}@school.example`, role: 'teacher' },
+    ...Array.from({ length: 20 + c }, (_, i) => ({
+      id: `s${c}-${i}`,
+      displayName: `Student ${i}`,
+      email: `student${i}@school.example`,
+      role: 'student'
+    }))
+  ]]));
+
+  // Due dates straddle "now" so both overdue and upcoming work exists
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  // Cycle through the submission states; every third hand-in is a day late
+  const submissionStates = ['returned', 'submitted', 'working', 'reassigned'];
+  const assignments = Array.from({ length: assignmentCount }, (_, i) => {
+    const cls = classes[i % classes.length];
+    const due = new Date(now + (i - Math.floor(assignmentCount / 3)) * day);
+    const submissionStatus = submissionStates[i % submissionStates.length];
+    const handedIn = submissionStatus === 'submitted' || submissionStatus === 'returned';
+    const submittedAt = new Date(due.getTime() + (i % 3 === 0 ? day : -day));
+    return {
+      id: `a0000000-0000-4000-8000-${String(i + 1).padStart(12, '0')}`,
+      classId: cls.id,
+      displayName: `${cls.subject} task ${i + 1}`,
+      instructions: {
+        content: `<p>Complete task ${i + 1} for ${cls.subject}.</p><ul><li>Read the notes</li><li>Answer the questions</li></ul>`,
+        contentType: 'html'
+      },
+      dueDateTime: due.toISOString(),
+      assignedDateTime: new Date(due.getTime() - 7 * day).toISOString(),
+      createdDateTime: new Date(due.getTime() - 8 * day).toISOString(),
+      lastModifiedDateTime: new Date(due.getTime() - 7 * day).toISOString(),
+      status: 'assigned',
+      allowLateSubmissions: i % 2 === 0,
+      allTurnedIn: i % 4 === 0,
+      anySubmittedState: i % 4 === 0,
+      webUrl: `https://teams.microsoft.com/l/entity/mock/${i + 1}`,
+      createdBy: { user: { id: `t${i % classes.length}` } },
+      grading: { '@odata.type': '#microsoft.graph.educationAssignmentPointsGradeType', maxPoints: 100 },
+      submissionAggregates: { total: 20, submitted: i % 4 === 0 ? 20 : i },
+      submissions: [{
+        id: `sub-${i + 1}`,
+        status: submissionStatus,
+        recipient: { userId: MOCK_STUDENT_ID },
+        submittedDateTime: handedIn ? submittedAt.toISOString() : null,
+        returnedDateTime: submissionStatus === 'returned' ? new Date(submittedAt.getTime() + day).toISOString() : null,
+        outcomes: submissionStatus === 'returned' ? mockOutcomes(i) : []
+      }]
+    };
+  });
+
+  return { classes, members, assignments };
+}
+
+export function createMockServer({
+  token = createMockToken(),
+  assignmentCount = 12,
+  pageSize = 5,
+  expireAfter = null,
+  notionRateLimited = 0,
+  latency = 0,
+  flaky = 0,
+  legacySchema = false,
+  forbidClass = null
+} = {}) {
+  const fixtures = createFixtures(assignmentCount);
+  const notionPages = [];
+  const databases = new Map();
+  const blockChildren = new Map(); // parent ID -> blocks
+  const counts = { aui: 0, notion: 0, unauthorized: 0, downloads: 0, members: 0, details: 0, unavailable: 0, refreshes: 0 };
+  const refreshedTokens = new Set(); // Issued by the token endpoint; never "expire"
+  let refreshToken = MOCK_REFRESH_TOKEN;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const createDatabase = (id, parent, title, properties) => {
+    const database = {
+      object: 'database',
+      id,
+      parent,
+      title,
+      properties: {}
+    };
+    Object.entries(properties).forEach(([name, config]) => {
+      const type = Object.keys(config)[0];
+      database.properties[name] = { id: crypto.randomUUID().substring(0, 4), name, type, [type]: config[type] || {} };
+    });
+    databases.set(id, database);
+    return database;
+  };
+
+  // Properties the sync leaves out when a database lacks them
+  const optionalProperties = new Set(Object.values(DEFAULT_NOTION_MAPPING).filter(entry => entry.optional).map(entry => entry.name));
+  createDatabase(
+    MOCK_DATABASE_ID,
+    { type: 'page_id', page_id: 'mock-parent' },
+    [{ type: 'text', text: { content: 'Assignments' } }],
+    Object.fromEntries(Object.entries(MOCK_DATABASE_SCHEMA)
+      .filter(([name]) => !legacySchema || !optionalProperties.has(name))
+      .map(([name, type]) => [name, { [type]: {} }]))
+  );
+
+  const databaseNotFound = (res, id) => sendJson(res, 404, {
+    object: 'error', status: 404, code: 'object_not_found',
+    message: `Could not find database with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`
+  });
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+
+  const handleAui = async (req, res, url) => {
+    counts.aui++;
+
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    if (flaky > 0 && counts.aui % flaky === 0) {
+      counts.unavailable++;
+      res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+      return res.end(JSON.stringify({ error: { code: 'ServiceUnavailable', message: 'Mock outage' } }));
+    }
+
+    // After expireAfter requests, the initial token "expires" to exercise 401 handling
+    const bearer = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    const expired = expireAfter !== null && counts.aui > expireAfter && bearer === token;
+    if ((bearer !== token && !refreshedTokens.has(bearer)) || expired) {
+      counts.unauthorized++;
+      return sendJson(res, 401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired or is not yet valid.' } });
+    }
+
+    const parts = url.pathname.replace(/^\/api\/v1\.0\/edu\//, '').split('/');
+
+    if (forbidClass !== null && parts[0] === 'classes' && parts[1] === fixtures.classes[forbidClass - 1]?.id) {
+      return sendJson(res, 403, { error: { code: 'AccessDenied', message: 'Access to this class is denied.' } });
+    }
+
+    if (parts[0] === 'me' && parts[1] === 'work') {
+      let items = fixtures.assignments;
+
+      // Understands the clauses the sync sends: dueDateTime ge/le, status eq
+      // (or-ed inside parentheses) and isCompleted eq false
+      const filter = url.searchParams.get('$filter') || '';
+      const dueAfter = filter.match(/dueDateTime ge (\S+)/);
+      if (dueAfter) {
+        items = items.filter(item => item.dueDateTime >= new Date(dueAfter[1]).toISOString());
+      }
+      const dueBefore = filter.match(/dueDateTime le (\S+)/);
+      if (dueBefore) {
+        items = items.filter(item => item.dueDateTime <= new Date(dueBefore[1]).toISOString());
+      }
+      const statuses = [...filter.matchAll(/status eq [\w.]+'(\w+)'/g)].map(match => match[1]);
+      if (statuses.length > 0) {
+        items = items.filter(item => statuses.includes(item.status));
+      }
+      if (/isCompleted eq false/.test(filter)) {
+        items = items.filter(item => !['submitted', 'returned'].includes(item.submissions[0]?.status));
+      }
+
+      const skip = Number(url.searchParams.get('$skiptoken') || 0);
+      const page = items.slice(skip, skip + pageSize);
+      const body = { value: page };
+
+      if (skip + pageSize < items.length) {
+        const next = new URL(url);
+        next.searchParams.set('$skiptoken', String(skip + pageSize));
+        body['@odata.nextLink'] = next.toString();
+      }
+
+      return sendJson(res, 200, body);
+    }
+
+    if (parts[0] === 'classes' && parts.length === 2) {
+      const cls = fixtures.classes.find(item => item.id === parts[1]);
+      if (!cls) return sendJson(res, 404, { error: { code: 'NotFound', message: 'Class not found' } });
+      return sendJson(res, 200, { id: cls.id, displayName: cls.displayName, description: `${cls.displayName} class team`, externalId: cls.externalId });
+    }
+
+    if (parts[0] === 'classes' && parts[2] === 'members') {
+      counts.members++;
+      const members = fixtures.members.get(parts[1]);
+      if (!members) return sendJson(res, 404, { error: { code: 'NotFound', message: 'Class not found' } });
+      return sendJson(res, 200, { value: members });
+    }
+
+    if (parts[0] === 'classes' && parts[2] === 'assignments' && parts[3]) {
+      counts.details++;
+      const assignment = fixtures.assignments.find(item => item.classId === parts[1] && item.id === parts[3]);
+      if (!assignment) return sendJson(res, 404, { error: { code: 'NotFound', message: 'Assignment not found' } });
+      return sendJson(res, 200, { ...assignment, rubric: MOCK_RUBRIC, resources: mockResources(assignment, url.origin), gradingScheme: MOCK_GRADING_SCHEME, gradingCategory: null });
+    }
+
+    return sendJson(res, 404, { error: { code: 'NotFound', message: `No mock for ${url.pathname}` } });
+  };
+
+  const readForm = async (req) => {
+    let data = '';
+    for await (const chunk of req) data += chunk;
+    return new URLSearchParams(data);
+  };
+
+  // Device codes: the first poll is "pending", the next one succeeds
+  const deviceCodes = new Map(); // device_code -> polls so far
+  const handleDeviceCode = async (req, res) => {
+    await readForm(req);
+    const deviceCode = `mock-device-${crypto.randomUUID()}`;
+    deviceCodes.set(deviceCode, 0);
+    return sendJson(res, 200, {
+      device_code: deviceCode,
+      user_code: 'MOCK-CODE',
+      verification_uri: 'https://microsoft.com/devicelogin',
+      expires_in: 900,
+      interval: 1,
+      message: 'To sign in, use a web browser to open the page https://microsoft.com/devicelogin and enter the code MOCK-CODE to authenticate.'
+    });
+  };
+
+  // refresh_token grant (only the latest refresh token is accepted) and device_code grant
+  const handleToken = async (req, res) => {
+    const form = await readForm(req);
+
+    if (form.get('grant_type') === 'urn:ietf:params:oauth:grant-type:device_code') {
+      const polls = deviceCodes.get(form.get('device_code'));
+      if (polls === undefined) {
+        return sendJson(res, 400, { error: 'expired_token', error_description: 'AADSTS70019: Verification code expired.' });
+      }
+      deviceCodes.set(form.get('device_code'), polls + 1);
+      if (polls === 0) {
+        return sendJson(res, 400, { error: 'authorization_pending', error_description: 'AADSTS70016: Pending end-user authorization.' });
+      }
+      deviceCodes.delete(form.get('device_code'));
+    } else if (form.get('grant_type') !== 'refresh_token' || form.get('refresh_token') !== refreshToken) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'AADSTS70000: The provided refresh token is invalid or expired.' });
+    }
+
+    counts.refreshes++;
+    const accessToken = createMockToken();
+    refreshedTokens.add(accessToken);
+    refreshToken = `${MOCK_REFRESH_TOKEN}-${counts.refreshes}`;
+    return sendJson(res, 200, { token_type: 'Bearer', access_token: accessToken, refresh_token: refreshToken, expires_in: 3600, scope: form.get('scope') || '' });
+  };
+
+  // Drive item metadata for resource fileUrls, with a pre-authenticated download URL
+  const handleDrive = (req, res, url) => {
+    const bearer = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    if (bearer !== token && !refreshedTokens.has(bearer)) {
+      counts.unauthorized++;
+      return sendJson(res, 401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired or is not yet valid.' } });
+    }
+
+    const id = url.pathname.split('/').pop();
+    const content = `Mock file ${id}\n`;
+    return sendJson(res, 200, {
+      id,
+      name: `${id}.docx`,
+      size: Buffer.byteLength(content),
+      eTag: `"{${id}},1"`,
+      '@microsoft.graph.downloadUrl': `${url.origin}/__mock/download/${id}`
+    });
+  };
+
+  const handleNotion = async (req, res, url) => {
+    counts.notion++;
+
+    if (counts.notion <= notionRateLimited) {
+      res.setHeader('Retry-After', '1');
+      return sendJson(res, 429, { object: 'error', status: 429, code: 'rate_limited', message: 'You have been rate limited. Please try again in a few minutes.' });
+    }
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return sendJson(res, 401, { object: 'error', status: 401, code: 'unauthorized', message: 'API token is invalid.' });
+    }
+
+    const body = await readBody(req);
+
+    if (req.method === 'POST' && url.pathname === '/v1/databases') {
+      const database = createDatabase(crypto.randomUUID(), body.parent, body.title || [], body.properties || {});
+      return sendJson(res, 200, database);
+    }
+
+    const databaseMatch = url.pathname.match(/^\/v1\/databases\/([^/]+)$/);
+    if (databaseMatch) {
+      const database = databases.get(databaseMatch[1]);
+      if (!database) return databaseNotFound(res, databaseMatch[1]);
+
+      if (req.method === 'PATCH') {
+        Object.entries(body.properties || {}).forEach(([name, config]) => {
+          const existing = database.properties[name];
+          if (existing && config.name) {
+            // Rename
+            delete database.properties[name];
+            database.properties[config.name] = { ...existing, name: config.name };
+          } else {
+            const type = Object.keys(config)[0];
+            database.properties[name] = { id: crypto.randomUUID().substring(0, 4), name, type, [type]: config[type] || {} };
+          }
+        });
+      }
+      return sendJson(res, 200, database);
+    }
+
+    const queryMatch = url.pathname.match(/^\/v1\/databases\/([^/]+)\/query$/);
+
+    if (req.method === 'POST' && queryMatch) {
+      if (!databases.has(queryMatch[1])) return databaseNotFound(res, queryMatch[1]);
+
+      const start = Number(body.start_cursor || 0);
+      const size = body.page_size || 100;
+      const results = notionPages.filter(page => page.parent.database_id === queryMatch[1] && !page.archived);
+      const slice = results.slice(start, start + size);
+      const hasMore = start + size < results.length;
+      return sendJson(res, 200, {
+        object: 'list',
+        results: slice,
+        has_more: hasMore,
+        next_cursor: hasMore ? String(start + size) : null
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/pages') {
+      const databaseId = body.parent?.database_id;
+      if (!databases.has(databaseId)) return databaseNotFound(res, databaseId);
+
+      const unknown = Object.keys(body.properties || {}).filter(name => !databases.get(databaseId).properties[name]);
+      if (unknown.length > 0) {
+        return sendJson(res, 400, { object: 'error', status: 400, code: 'validation_error', message: `${unknown[0]} is not a property that exists.` });
+      }
+
+      const page = {
+        object: 'page',
+        id: crypto.randomUUID(),
+        created_time: new Date().toISOString(),
+        last_edited_time: new Date().toISOString(),
+        archived: false,
+        parent: body.parent,
+        properties: body.properties || {}
+      };
+      notionPages.push(page);
+      return sendJson(res, 200, page);
+    }
+
+    const childrenMatch = url.pathname.match(/^\/v1\/blocks\/([^/]+)\/children$/);
+    if (childrenMatch) {
+      const children = blockChildren.get(childrenMatch[1]) || [];
+      if (req.method === 'PATCH') {
+        const appended = (body.children || []).map(block => ({ ...block, id: crypto.randomUUID(), archived: false }));
+        blockChildren.set(childrenMatch[1], [...children, ...appended]);
+        return sendJson(res, 200, { object: 'list', results: appended, has_more: false, next_cursor: null });
+      }
+      return sendJson(res, 200, { object: 'list', results: children.filter(block => !block.archived), has_more: false, next_cursor: null });
+    }
+
+    const blockMatch = url.pathname.match(/^\/v1\/blocks\/([^/]+)$/);
+    if (req.method === 'DELETE' && blockMatch) {
+      for (const children of blockChildren.values()) {
+        const block = children.find(candidate => candidate.id === blockMatch[1] && !candidate.archived);
+        if (block) {
+          block.archived = true;
+          return sendJson(res, 200, block);
+        }
+      }
+      return sendJson(res, 404, { object: 'error', status: 404, code: 'object_not_found', message: `Could not find block with ID: ${blockMatch[1]}` });
+    }
+
+    const pageMatch = url.pathname.match(/^\/v1\/pages\/([^/]+)$/);
+    if (req.method === 'PATCH' && pageMatch) {
+      const page = notionPages.find(candidate => candidate.id === pageMatch[1]);
+      if (!page) {
+        return sendJson(res, 404, { object: 'error', status: 404, code: 'object_not_found', message: `Could not find page with ID: ${pageMatch[1]}` });
+      }
+      Object.assign(page.properties, body.properties || {});
+      if (typeof body.archived === 'boolean') page.archived = body.archived;
+      page.last_edited_time = new Date().toISOString();
+      return sendJson(res, 200, page);
+    }
+
+    return sendJson(res, 404, { object: 'error', status: 404, code: 'object_not_found', message: `No mock for ${req.method} ${url.pathname}` });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    try {
+      if (url.pathname.startsWith('/api/v1.0/edu/')) {
+        return await handleAui(req, res, url);
+      }
+      if (url.pathname === '/oauth2/v2.0/token' && req.method === 'POST') {
+        return await handleToken(req, res);
+      }
+      if (url.pathname === '/oauth2/v2.0/devicecode' && req.method === 'POST') {
+        return await handleDeviceCode(req, res);
+      }
+      if (url.pathname.startsWith('/api/v1.0/drive/items/')) {
+        return handleDrive(req, res, url);
+      }
+      if (url.pathname.startsWith('/__mock/download/')) {
+        counts.downloads++;
+        const content = `Mock file ${url.pathname.split('/').pop()}\n`;
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': Buffer.byteLength(content) });
+        return res.end(content);
+      }
+      if (url.pathname.startsWith('/v1/')) {
+        return await handleNotion(req, res, url);
+      }
+      if (url.pathname === '/__mock/state') {
+        return sendJson(res, 200, {
+          counts,
+          notionPages,
+          databases: Object.fromEntries(databases),
+          blocks: Object.fromEntries(blockChildren)
+        });
+      }
+      if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+        notionPages.length = 0;
+        blockChildren.clear();
+        Object.keys(counts).forEach(key => { counts[key] = 0; });
+        return sendJson(res, 200, { ok: true });
+      }
+      sendJson(res, 404, { error: `No mock for ${url.pathname}` });
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  // The refresh token the token endpoint accepts next (it rotates on every refresh)
+  const currentRefreshToken = () => refreshToken;
+
+  return { server, token, fixtures, notionPages, databases, blockChildren, counts, currentRefreshToken };
+}
+
+async function main() {
+  const options = { port: 4010 };
+
+  for (const arg of process.argv.slice(2)) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'port') options.port = Number(value);
+    else if (key === 'assignments') options.assignmentCount = Number(value);
+    else if (key === 'page-size') options.pageSize = Number(value);
+    else if (key === 'expire-after') options.expireAfter = Number(value);
+    else if (key === 'notion-429') options.notionRateLimited = Number(value);
+    else if (key === 'latency') options.latency = Number(value);
+    else if (key === 'flaky') options.flaky = Number(value);
+    else if (key === 'legacy-schema') options.legacySchema = true;
+    else if (key === 'forbid-class') options.forbidClass = Number(value);
+  }
+
+  const mock = createMockServer(options);
+
+  mock.server.listen(options.port, () => {
+    const base = `http://localhost:${options.port}`;
+    console.log(`🧪 Mock AUI + Notion server listening on ${base}`);
+    console.log(`   ${mock.fixtures.assignments.length} assignments across ${mock.fixtures.classes.length} classes\n`);
+    console.log('Run the sync against it with:\n');
+    console.log(`  AUI_URL='${base}/api/v1.0/edu/me/work' \\`);
+    console.log(`  AUI_API_BASE='${base}/api/v1.0' \\`);
+    console.log(`  AUI_TOKEN='${mock.token}' \\`);
+    console.log(`  AUI_REFRESH_TOKEN='${MOCK_REFRESH_TOKEN}' AUI_TOKEN_URL='${base}/oauth2/v2.0/token' \\`);
+    console.log(`  NOTION_API_BASE='${base}/v1' NOTION_TOKEN=mock NOTION_DATABASE_ID=${MOCK_DATABASE_ID} \\`);
+    console.log('  AUI_AUTO_REFRESH=0 node sync-assignments.mjs\n');
+    console.log(`Inspect state: curl ${base}/__mock/state`);
+  });
+
+  process.on('SIGINT', () => {
+    mock.server.close();
+    process.exit(0);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
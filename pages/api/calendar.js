@@ -0,0 +1,36 @@
+import fs from 'fs';
+import path from 'path';
+
+// Serves the .ics files written by sync-assignments.mjs so calendar apps can
+// subscribe to them: /api/calendar or /api/calendar?class=<classId>, with
+// &profile=<name> for a profile's outputs (profiles/<name>/outputs)
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const classId = req.query.class;
+  const profile = req.query.profile;
+
+  if (classId && !/^[\w-]+$/.test(classId)) {
+    return res.status(400).json({ error: 'Invalid class ID' });
+  }
+  if (profile && !/^[A-Za-z0-9][\w-]*$/.test(profile)) {
+    return res.status(400).json({ error: 'Invalid profile' });
+  }
+
+  const outputs = profile
+    ? path.join(process.cwd(), 'profiles', profile, 'outputs')
+    : path.join(process.cwd(), 'outputs');
+  const file = classId
+    ? path.join(outputs, 'by-class', classId, 'assignments.ics')
+    : path.join(outputs, 'assignments.ics');
+
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Calendar not found. Run a sync first.' });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="assignments.ics"');
+  res.status(200).send(fs.readFileSync(file, 'utf8'));
+}
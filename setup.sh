@@ -56,6 +56,9 @@ echo -e "  3. Click on Assignments to trigger the token capture"
 echo -e "  4. Wait for 'Tokens saved' message in the terminal"
 echo -e "  5. Close the browser window"
 echo ""
+echo -e "To use a browser profile other than the default, skip this step and run:"
+echo -e "  node simple-edge-extractor.mjs --list-profiles, then --profile=<name>"
+echo ""
 echo -e "${YELLOW}Press Enter to continue, or Ctrl+C to skip...${NC}"
 read -r
 
@@ -79,16 +82,11 @@ if [ ! -f .env ]; then
     exit 1
 fi
 
-# Check for tokens in .env
-if grep -q "^AUI_TOKEN=" .env && grep -q "^AUI_SESSION_ID=" .env; then
-    AUI_TOKEN=$(grep "^AUI_TOKEN=" .env | cut -d'=' -f2)
-    if [ -z "$AUI_TOKEN" ]; then
-        echo -e "${RED}❌ Tokens are empty in .env${NC}"
-        exit 1
-    fi
-    echo -e "${GREEN}✅ Tokens found in .env${NC}"
+# Check the token store (and any token set in .env)
+if node sync-assignments.mjs tokens status; then
+    echo -e "${GREEN}✅ Valid token found${NC}"
 else
-    echo -e "${RED}❌ Token keys not found in .env${NC}"
+    echo -e "${RED}❌ No valid token found - run 'npm run extract-tokens'${NC}"
     exit 1
 fi
 echo ""
@@ -5,11 +5,30 @@
  *
  * Just launches Edge, navigates to Teams, and waits for you to manually
  * navigate to assignments while monitoring all API calls.
+ *
+ * Usage:
+ *   node simple-edge-extractor.mjs [--browser=edge|chrome] [--profile=<name>] [--temp-profile]
+ *   node simple-edge-extractor.mjs --list-profiles
+ *
+ * --profile (or --profile <name>) matches a browser profile folder
+ * ("Profile 1"), its display name or the signed-in email (defaults:
+ * TOKEN_BROWSER / TOKEN_BROWSER_PROFILE). Without a usable one a fresh
+ * temporary profile is used and you sign in interactively.
+ *
+ * SYNC_PROFILE=<name> saves into a sync profile (profiles/<name>.env and its
+ * token store, see lib/profiles.mjs) instead of .env, and that file's
+ * TOKEN_BROWSER_PROFILE picks the browser profile; the sync sets it when it
+ * runs the extractor for --profile.
  */
 
 import { chromium } from 'playwright';
 import fs from 'fs';
 import os from 'os';
+import path from 'path';
+import { BROWSERS, discoverProfiles, findProfile } from './lib/browser-profiles.mjs';
+import { readEnvFile, updateEnvFile } from './lib/env-file.mjs';
+import { TokenStore } from './lib/token-store.mjs';
+import { useProfile, envFile, loadEnvFiles } from './lib/profiles.mjs';
 
 console.log('🔧 Starting simple Edge token extractor...');
 
@@ -17,7 +36,8 @@ const tokens = {
   AUI_TOKEN: null,
   AUI_SESSION_ID: null,
   AUI_URL: null,
-  AUI_REFRESH_TOKEN: null
+  AUI_REFRESH_TOKEN: null,
+  AUI_TENANT_ID: null // The school's tenant, from the sign-in token endpoint
 };
 
 let foundTokens = false;
@@ -37,85 +57,209 @@ function sanitizeAuiUrl(rawUrl) {
   }
 }
 
-// Load existing tokens from .env on startup
-function loadExistingTokens() {
-  try {
-    const envContent = fs.readFileSync('.env', 'utf8');
-    const lines = envContent.split('\n');
-
-    for (const line of lines) {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        const cleanValue = value.replace(/"/g, '');
-        if (key === 'AUI_TOKEN') tokens.AUI_TOKEN = cleanValue;
-        if (key === 'AUI_SESSION_ID') tokens.AUI_SESSION_ID = cleanValue;
-        if (key === 'AUI_URL') tokens.AUI_URL = cleanValue;
-      }
+function parseArgs() {
+  const options = {
+    browser: process.env.TOKEN_BROWSER || null,
+    profile: process.env.TOKEN_BROWSER_PROFILE || null,
+    listProfiles: false,
+    tempProfile: false
+  };
+
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--browser=')) {
+      options.browser = arg.substring('--browser='.length).toLowerCase();
+    } else if (arg.startsWith('--profile=')) {
+      options.profile = arg.substring('--profile='.length);
+    } else if (arg === '--profile' && args[i + 1]) {
+      options.profile = args[++i];
+    } else if (arg === '--list-profiles') {
+      options.listProfiles = true;
+    } else if (arg === '--temp-profile') {
+      options.tempProfile = true;
     }
+  }
+
+  if (options.browser && !BROWSERS[options.browser]) {
+    console.error(`❌ Unknown browser "${options.browser}". Use one of: ${Object.keys(BROWSERS).join(', ')}`);
+    process.exit(1);
+  }
+  return options;
+}
 
-    if (tokens.AUI_TOKEN) {
-      console.log('📂 Loaded existing tokens from .env');
-      console.log(`   Token: ${tokens.AUI_TOKEN.substring(0, 30)}...`);
-      console.log(`   Session: ${tokens.AUI_SESSION_ID}`);
+function listProfiles(profiles) {
+  if (profiles.length === 0) {
+    console.log('No Edge or Chrome profiles found; the extractor will use a temporary profile.');
+    return;
+  }
+
+  console.log('Browser profiles (use with --browser=<browser> --profile=<profile>):\n');
+  for (const profile of profiles) {
+    const account = profile.email ? ` <${profile.email}>` : '';
+    console.log(`  ${profile.browser.padEnd(7)} ${profile.directory.padEnd(11)} ${profile.name}${account}`);
+    console.log(`  ${''.padEnd(7)} ${profile.userDataDir}`);
+  }
+}
+
+// Which browser/profile to launch. An explicit --profile that doesn't exist is
+// an error; with no --profile, "Profile 1" (the usual school profile) then
+// Default is tried, then a temporary profile.
+function chooseProfile(options, profiles) {
+  const candidates = options.browser ? profiles.filter(profile => profile.browser === options.browser) : profiles;
+
+  if (options.profile) {
+    const profile = findProfile(candidates, options.profile);
+    if (!profile) {
+      console.error(`❌ No ${options.browser ? BROWSERS[options.browser].name : 'Edge/Chrome'} profile matches "${options.profile}". Run with --list-profiles to see them.`);
+      process.exit(1);
     }
+    return profile;
+  }
+
+  // Edge first: it is the browser school accounts are usually signed in to
+  for (const browser of options.browser ? [options.browser] : ['edge', 'chrome']) {
+    const ofBrowser = candidates.filter(profile => profile.browser === browser);
+    const profile = findProfile(ofBrowser, 'Profile 1') || findProfile(ofBrowser, 'Default');
+    if (profile) return profile;
+  }
+  return null;
+}
+
+const LAUNCH_OPTIONS = {
+  headless: false,
+  args: [
+    '--disable-blink-features=AutomationControlled',
+    '--remote-debugging-port=9222',
+  ],
+  ignoreDefaultArgs: ['--enable-automation'],
+  viewport: { width: 1280, height: 720 }
+};
+
+// A browser that is already running keeps its user data directory locked, so
+// a failed launch falls back to a temporary profile instead of giving up.
+async function launchBrowser(options, profile) {
+  if (profile) {
+    const browser = BROWSERS[profile.browser];
+    console.log(`🚀 Launching ${browser.name} with profile "${profile.name}" (${profile.directory})...`);
+    try {
+      const context = await chromium.launchPersistentContext(profile.userDataDir, {
+        ...LAUNCH_OPTIONS,
+        channel: browser.channel,
+        args: [...LAUNCH_OPTIONS.args, `--profile-directory=${profile.directory}`]
+      });
+      return { context, tempDir: null };
+    } catch (error) {
+      console.log(`⚠️  Could not open ${browser.name} with that profile: ${error.message.split('\n')[0]}`);
+      console.log(`💡 Close ${browser.name} if it is running, or use --temp-profile`);
+    }
+  }
+
+  const browserKey = profile?.browser || options.browser || 'edge';
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assignmentsync-profile-'));
+  console.log(`🧪 Using a fresh temporary profile (${tempDir}); sign in when the window opens`);
+
+  // Fall back to Playwright's bundled Chromium when the branded browser isn't installed
+  for (const channel of [BROWSERS[browserKey].channel, undefined]) {
+    try {
+      const context = await chromium.launchPersistentContext(tempDir, { ...LAUNCH_OPTIONS, channel });
+      return { context, tempDir };
+    } catch (error) {
+      if (channel === undefined) throw error;
+      console.log(`⚠️  ${BROWSERS[browserKey].name} is not available (${error.message.split('\n')[0]}); trying bundled Chromium`);
+    }
+  }
+}
+
+// Wait until the Microsoft sign-in pages are done (up to 5 minutes)
+async function waitForLogin(page) {
+  const deadline = Date.now() + 5 * 60 * 1000;
+  while (Date.now() < deadline && /login\.(microsoftonline|live)\.com/.test(page.url())) {
+    await page.waitForTimeout(2000);
+  }
+}
+
+// AUI_URL, AUI_SESSION_ID and AUI_TENANT_ID go to .env (or the sync profile's
+// env file); the access and refresh tokens go to the encrypted token store
+// (lib/token-store.mjs)
+try {
+  useProfile(process.env.SYNC_PROFILE);
+} catch (error) {
+  console.error(`❌ SYNC_PROFILE: ${error.message}`);
+  process.exit(1);
+}
+loadEnvFiles();
+const store = new TokenStore();
+
+// Load existing tokens on startup
+function loadExistingTokens() {
+  const env = readEnvFile(envFile());
+  tokens.AUI_SESSION_ID = env.AUI_SESSION_ID || null;
+  tokens.AUI_URL = env.AUI_URL || null;
+
+  try {
+    tokens.AUI_TOKEN = store.get('AUI_TOKEN')?.value || env.AUI_TOKEN || null;
   } catch (error) {
-    console.log('📄 No existing .env file found');
+    console.log(`⚠️  ${error.message}`);
+    tokens.AUI_TOKEN = env.AUI_TOKEN || null;
+  }
+
+  if (tokens.AUI_TOKEN) {
+    console.log('📂 Loaded existing tokens');
+    console.log(`   Token: ${tokens.AUI_TOKEN.substring(0, 30)}...`);
+    console.log(`   Session: ${tokens.AUI_SESSION_ID}`);
+  } else {
+    console.log('📄 No existing tokens found');
   }
 }
 
 // Save tokens immediately when found
 function saveTokensImmediately() {
-  console.log('💾 Saving tokens to .env immediately...');
+  console.log(`💾 Saving tokens to ${store.file} and ${envFile()}...`);
+
+  // Plaintext copies left by older versions are dropped; the store holds them now
+  const envUpdates = [['AUI_TOKEN', null], ['AUI_REFRESH_TOKEN', null]];
+  if (tokens.AUI_URL) envUpdates.push(['AUI_URL', sanitizeAuiUrl(tokens.AUI_URL)]);
+  if (tokens.AUI_SESSION_ID) envUpdates.push(['AUI_SESSION_ID', tokens.AUI_SESSION_ID]);
+  if (tokens.AUI_TENANT_ID) envUpdates.push(['AUI_TENANT_ID', tokens.AUI_TENANT_ID]);
+  updateEnvFile(envUpdates, envFile());
 
-  let envContent = '';
   try {
-    envContent = fs.readFileSync('.env', 'utf8');
+    store.load();
   } catch (error) {
-    console.log('📄 Creating new .env file...');
+    // Unreadable with the current key: start a fresh store rather than lose the capture
+    console.log(`⚠️  ${error.message}; replacing it`);
+    store.tokens = {};
   }
-
-  const updates = [
-    ['AUI_URL', sanitizeAuiUrl(tokens.AUI_URL)],
-    ['AUI_TOKEN', tokens.AUI_TOKEN],
-    ['AUI_SESSION_ID', tokens.AUI_SESSION_ID],
-    ['AUI_REFRESH_TOKEN', tokens.AUI_REFRESH_TOKEN]
-  ];
-
-  for (const [key, value] of updates) {
-    if (value) {
-      const line = `${key}="${value}"`;
-      if (envContent.includes(`${key}=`)) {
-        const regex = new RegExp(`${key}=.*`, 'g');
-        envContent = envContent.replace(regex, line);
-      } else {
-        envContent += `\n${line}`;
-      }
-    }
+  if (tokens.AUI_TOKEN) {
+    store.set('AUI_TOKEN', tokens.AUI_TOKEN, { source: 'edge-extractor' });
   }
+  if (tokens.AUI_REFRESH_TOKEN) {
+    store.set('AUI_REFRESH_TOKEN', tokens.AUI_REFRESH_TOKEN, { source: 'edge-extractor' });
+  }
+  store.save();
 
-  fs.writeFileSync('.env', envContent);
-  console.log('✅ Tokens saved persistently to .env!');
+  console.log('✅ Tokens saved persistently!');
 }
 
 async function main() {
-  // Load any existing tokens first
-  loadExistingTokens();
+  const options = parseArgs();
+  const profiles = discoverProfiles();
+
+  if (options.listProfiles) {
+    listProfiles(profiles);
+    return;
+  }
 
-  const userDataDir = os.homedir() + '/Library/Application Support/Microsoft Edge/Profile 1';
+  const profile = options.tempProfile ? null : chooseProfile(options, profiles);
+  if (!profile && !options.tempProfile) {
+    console.log('📄 No Edge or Chrome profile found');
+  }
 
-  console.log('🚀 Launching Edge with school profile (Profile 1)...');
+  // Load any existing tokens first
+  loadExistingTokens();
 
-  // Launch Edge with persistent context using school profile
-  const context = await chromium.launchPersistentContext(userDataDir, {
-    headless: false,
-    channel: 'msedge',
-    args: [
-      '--disable-blink-features=AutomationControlled',
-      '--remote-debugging-port=9222',
-    ],
-    ignoreDefaultArgs: ['--enable-automation'],
-    viewport: { width: 1280, height: 720 }
-  });
+  const { context, tempDir } = await launchBrowser(options, profile);
 
   // Hide webdriver flag so Microsoft login doesn't detect automation
   await context.addInitScript(() => {
@@ -185,6 +329,11 @@ async function main() {
         const body = await response.json();
         if (body.refresh_token) {
           tokens.AUI_REFRESH_TOKEN = body.refresh_token;
+          // The refresh token only works against the tenant that issued it
+          const tenant = url.match(/login\.microsoftonline\.com\/([^/]+)\/oauth2/)?.[1];
+          if (tenant && !['common', 'organizations'].includes(tenant)) {
+            tokens.AUI_TENANT_ID = tenant;
+          }
           console.log('🔄 Captured refresh token!');
           saveTokensImmediately();
         }
@@ -200,6 +349,11 @@ async function main() {
 
   // Wait for Teams to load and login to complete
   await page.waitForTimeout(15000); // 15 seconds for login/profile selection
+  if (tempDir) {
+    // A fresh profile always signs in from scratch
+    await waitForLogin(page);
+    await page.waitForTimeout(10000);
+  }
 
   // Try to automatically click assignments
   console.log('🎯 Attempting to automatically click Assignments...');
@@ -259,37 +413,7 @@ async function main() {
     await page.waitForTimeout(1000);
   }
 
-  // Update .env file
-  console.log('📝 Updating .env file...');
-
-  let envContent = '';
-  try {
-    envContent = fs.readFileSync('.env', 'utf8');
-  } catch (error) {
-    console.log('📄 Creating new .env file...');
-  }
-
-  const updates = [
-    ['AUI_URL', tokens.AUI_URL],
-    ['AUI_TOKEN', tokens.AUI_TOKEN],
-    ['AUI_SESSION_ID', tokens.AUI_SESSION_ID],
-    ['AUI_REFRESH_TOKEN', tokens.AUI_REFRESH_TOKEN]
-  ];
-
-  for (const [key, value] of updates) {
-    if (value) {
-      const line = `${key}="${value}"`;
-      if (envContent.includes(`${key}=`)) {
-        const regex = new RegExp(`${key}=.*`, 'g');
-        envContent = envContent.replace(regex, line);
-      } else {
-        envContent += `\n${line}`;
-      }
-    }
-  }
-
-  fs.writeFileSync('.env', envContent);
-  console.log('✅ Updated .env file with fresh tokens!');
+  saveTokensImmediately();
 
   console.log('\n📋 Summary:');
   console.log(`   URL: ${tokens.AUI_URL?.split('?')[0]}...`);
@@ -298,6 +422,9 @@ async function main() {
   console.log(`   Refresh token: ${tokens.AUI_REFRESH_TOKEN ? '✅ captured' : '⚠️  not captured (CI will require manual re-run)'}`);
 
   await context.close();
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
   console.log('🎉 Done!');
 }
 
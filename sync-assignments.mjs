@@ -16,40 +16,92 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline/promises';
 import XLSX from 'xlsx';
+import { createSource, SOURCE_NAMES, AUI_API_BASE } from './lib/sources.mjs';
+import { ResponseRecorder } from './lib/recording.mjs';
+import { loadNotionMapping } from './lib/notion-mapping.mjs';
+import { htmlToNotionBlocks, chunkBlocks } from './lib/notion-blocks.mjs';
+import { NotionClient } from './lib/notion-client.mjs';
+import { extractGrade } from './lib/grades.mjs';
+import { listResources, downloadResources } from './lib/resources.mjs';
+import { htmlToMarkdown, htmlToPlainText } from './lib/html-text.mjs';
+import { mapPool } from './lib/pool.mjs';
+import { DetailCache, DETAIL_CACHE_FILE } from './lib/detail-cache.mjs';
+import { ApiError, AuthError, ForbiddenError, NotFoundError, TransientError, errorFromResponse } from './lib/api-errors.mjs';
+import { refreshAccessToken, requestDeviceCode, pollDeviceCode } from './lib/oauth.mjs';
+import { readEnvFile, updateEnvFile } from './lib/env-file.mjs';
+import { TokenStore, TokenStoreError, TOKEN_NAMES, decodeJwt } from './lib/token-store.mjs';
+import { detectChanges, appendChanges, readChangesSince } from './lib/changes.mjs';
+import { AssignmentStore, DEFAULT_STORE_FILE } from './lib/store.mjs';
+import { selectedProfile, useProfile, listProfiles, profilePath, envFile, loadEnvFiles, withheldKeys } from './lib/profiles.mjs';
+
+// The environment before any env file is loaded: what --all-profiles hands to
+// each profile's run
+const SHELL_ENV = { ...process.env };
+
+// --profile=<name> (or SYNC_PROFILE) layers profiles/<name>.env over .env,
+// except for credentials and the Notion target (see lib/profiles.mjs)
+let PROFILE = null;
+try {
+  PROFILE = useProfile(selectedProfile());
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-// Load environment variables from .env file
+// Load environment variables from the profile's env file and .env
 function loadEnv(override = false) {
-  if (fs.existsSync('.env')) {
-    const envContent = fs.readFileSync('.env', 'utf8');
-    envContent.split('\n').forEach(line => {
-      const match = line.match(/^([^=]+)=(.*)$/);
-      if (match) {
-        const key = match[1];
-        const value = match[2].replace(/^"|"$/g, '');
-        if (override || !process.env[key]) { // Allow override when requested
-          process.env[key] = value;
-        }
-      }
-    });
-  }
+  loadEnvFiles({ override }); // Allow override when requested
 }
 
 // Load .env on startup
 loadEnv();
 
+// Overridable so the sync can be pointed at mock-aui-server.mjs
+const NOTION_API_BASE = process.env.NOTION_API_BASE || 'https://api.notion.com/v1';
+
+// Retries for 429/5xx/network failures on the assignments API (see fetchWithAuth)
+const API_MAX_RETRIES = Number(process.env.API_MAX_RETRIES || 4);
+const API_MAX_BACKOFF_MS = 30000;
+// Mid-run token refreshes before a 401 is treated as fatal
+const MAX_AUTH_REFRESHES = 2;
+
 class AssignmentSync {
   constructor() {
     this.args = this.parseArgs();
+    if (this.args.allProfiles) return; // Each profile runs in its own process (see runAllProfiles)
+
+    this.outputDir = process.env.OUTPUT_DIR || profilePath('outputs'); // profiles/<name>/outputs for --profile
+    this.stateFile = process.env.STATE_FILE || profilePath('state.json');
+    this.changesFile = `${this.outputDir}/changes.jsonl`;
+    this.tokenStore = new TokenStore(); // Encrypted access/refresh tokens (see applyStoredTokens)
+    this.applyStoredTokens();
     this.state = this.loadState();
-    this.classMembers = new Map(); // Cache for class members
+    this.source = createSource(this.args.source, this);
+    this.recorder = this.createRecorder();
+    this.notionMapping = this.loadNotionMapping();
+    this.notion = new NotionClient({ baseUrl: NOTION_API_BASE });
+    this.classMembers = new Map(); // Class ID -> promise of members, shared by concurrent lookups
+    this.classInfo = new Map(); // Class ID -> promise of names/codes
+    this.detailCache = null; // Detail responses keyed by lastModifiedDateTime (see normalizeAll)
+    this.degraded = []; // Lookups that failed after retries: { scope, key, error } (see noteDegraded)
+    this.tokenRefresh = null; // In-flight mid-run token refresh, shared by concurrent requests
+    this.authRefreshes = 0;
+    this.fetchWindow = null; // Due-date window requested from the API, used when pruning
+    this.serverFiltered = new Set(); // Filters the source already applied (see buildFetchWindow)
+    this.listIncomplete = false; // Some classes could not be listed, so absence doesn't mean deleted
   }
 
   parseArgs() {
     const args = {
       dueBefore: null,
       dueAfter: null,
+      since: null, // Start of the API window: ISO date or relative ("30d"); default start of month
+      until: null, // End of the API window: ISO date or relative ("14d" ahead)
       statuses: [],
       classIds: [],
       incomplete: false,
@@ -57,10 +109,44 @@ class AssignmentSync {
       incremental: false,
       full: false,
       details: null, // Format: "classId:assignmentId"
-      refreshTokens: false // Auto-refresh tokens before sync
+      refreshTokens: false, // Auto-refresh tokens before sync
+      source: 'aui', // Upstream API: "aui" or "graph"
+      record: null, // Directory to capture API responses into
+      fromRecording: null, // Directory to replay API responses from
+      prune: 'off', // Notion pages removed upstream: "archive", "flag" or "off"
+      pruneStatus: 'Removed upstream', // Status set on flagged pages
+      pruneDryRun: false, // List prune candidates without changing Notion
+      notionInit: null, // Parent page ID to create a new assignments database under
+      notionCheck: false, // Validate (and optionally repair) the database schema
+      yes: false, // Answer yes to confirmation prompts
+      notionMapping: process.env.NOTION_MAPPING_FILE || null, // Custom field -> property mapping file
+      notionBody: true, // Write instructions into the Notion page body
+      downloadResources: false, // Save resource files under outputs/resources/
+      changesSince: null, // Print the change log from this date and exit
+      store: process.env.ASSIGNMENT_STORE || null, // SQLite file accumulating every assignment seen
+      exportFromStore: false, // Write JSON/CSV/XLSX from the store instead of this run's window
+      concurrency: Number(process.env.SYNC_CONCURRENCY || 6), // Assignments normalized in parallel
+      detailCache: true, // Reuse detail responses of unmodified assignments from .cache/
+      tokensCommand: null, // "status" or "import": token store maintenance (see runTokensCommand)
+      login: false, // Device-code sign-in instead of a sync (see runLogin)
+      profile: PROFILE, // Named profile from profiles/<name>.env (parsed before .env is loaded)
+      allProfiles: false // Run once per profile, then print a combined summary
     };
 
     const argv = process.argv.slice(2);
+
+    // "login" signs in with a device code; "tokens <status|import>" manages
+    // the token store. Neither syncs. Flags may come before them.
+    const commands = argv.filter(arg => !arg.startsWith('-'));
+    if (commands[0] === 'login') {
+      args.login = true;
+    } else if (commands[0] === 'tokens') {
+      args.tokensCommand = commands[1] || 'status';
+      if (!['status', 'import'].includes(args.tokensCommand)) {
+        console.error(`Unknown tokens command "${args.tokensCommand}". Use: tokens status | tokens import`);
+        process.exit(1);
+      }
+    }
     
     // Check for help flag first
     if (argv.includes('--help') || argv.includes('-h')) {
@@ -75,6 +161,10 @@ class AssignmentSync {
         args.dueBefore = arg.split('=')[1];
       } else if (arg.startsWith('--due-after=')) {
         args.dueAfter = arg.split('=')[1];
+      } else if (arg.startsWith('--since=')) {
+        args.since = arg.substring('--since='.length);
+      } else if (arg.startsWith('--until=')) {
+        args.until = arg.substring('--until='.length);
       } else if (arg.startsWith('--status=')) {
         args.statuses.push(arg.split('=')[1]);
       } else if (arg.startsWith('--class-id=')) {
@@ -91,9 +181,64 @@ class AssignmentSync {
         args.details = arg.split('=')[1];
       } else if (arg === '--refresh-tokens') {
         args.refreshTokens = true;
+      } else if (arg.startsWith('--source=')) {
+        args.source = arg.split('=')[1];
+      } else if (arg.startsWith('--record=')) {
+        args.record = arg.substring('--record='.length);
+      } else if (arg.startsWith('--from-recording=')) {
+        args.fromRecording = arg.substring('--from-recording='.length);
+      } else if (arg.startsWith('--prune=')) {
+        args.prune = arg.split('=')[1];
+      } else if (arg.startsWith('--prune-status=')) {
+        args.pruneStatus = arg.substring('--prune-status='.length);
+      } else if (arg === '--prune-dry-run') {
+        args.pruneDryRun = true;
+      } else if (arg.startsWith('--notion-init=')) {
+        args.notionInit = arg.split('=')[1];
+      } else if (arg === '--notion-init') {
+        args.notionInit = process.env.NOTION_PARENT_PAGE_ID || '';
+      } else if (arg === '--notion-check') {
+        args.notionCheck = true;
+      } else if (arg === '--yes' || arg === '-y') {
+        args.yes = true;
+      } else if (arg.startsWith('--notion-mapping=')) {
+        args.notionMapping = arg.substring('--notion-mapping='.length);
+      } else if (arg === '--no-notion-body') {
+        args.notionBody = false;
+      } else if (arg === '--download-resources') {
+        args.downloadResources = true;
+      } else if (arg === '--store') {
+        args.store = args.store || profilePath(DEFAULT_STORE_FILE);
+      } else if (arg.startsWith('--store=')) {
+        args.store = arg.substring('--store='.length);
+      } else if (arg === '--export-from-store') {
+        args.exportFromStore = true;
+      } else if (arg.startsWith('--changes-since=')) {
+        args.changesSince = arg.substring('--changes-since='.length);
+      } else if (arg.startsWith('--concurrency=')) {
+        args.concurrency = Number(arg.substring('--concurrency='.length));
+      } else if (arg === '--no-detail-cache') {
+        args.detailCache = false;
+      } else if (arg === '--all-profiles') {
+        args.allProfiles = true;
       }
     }
 
+    if (args.allProfiles && args.profile) {
+      console.error('--all-profiles runs every profile; drop --profile (or SYNC_PROFILE)');
+      process.exit(1);
+    }
+
+    if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+      console.error(`Invalid --concurrency (or SYNC_CONCURRENCY): ${args.concurrency} (use a whole number ≥ 1)`);
+      process.exit(1);
+    }
+
+    // Exporting from the store needs one
+    if (args.exportFromStore && !args.store) {
+      args.store = profilePath(DEFAULT_STORE_FILE);
+    }
+
     // Default to full if neither incremental nor full is specified
     if (!args.incremental && !args.full) {
       args.full = true;
@@ -108,10 +253,62 @@ class AssignmentSync {
       console.error(`Invalid --due-after date: ${args.dueAfter}`);
       process.exit(1);
     }
+    if (args.since && !this.parseDateArg(args.since, -1)) {
+      console.error(`Invalid --since date: ${args.since} (use an ISO date or an offset like 30d)`);
+      process.exit(1);
+    }
+    if (args.until && !this.parseDateArg(args.until, 1)) {
+      console.error(`Invalid --until date: ${args.until} (use an ISO date or an offset like 14d)`);
+      process.exit(1);
+    }
+    if (!SOURCE_NAMES.includes(args.source)) {
+      console.error(`Invalid --source: ${args.source} (expected ${SOURCE_NAMES.join(' or ')})`);
+      process.exit(1);
+    }
+    if (!['archive', 'flag', 'off'].includes(args.prune)) {
+      console.error(`Invalid --prune: ${args.prune} (expected archive, flag or off)`);
+      process.exit(1);
+    }
+    if (args.record && args.fromRecording) {
+      console.error('--record and --from-recording cannot be used together');
+      process.exit(1);
+    }
 
     return args;
   }
 
+  createRecorder() {
+    try {
+      if (this.args.fromRecording) {
+        const recorder = new ResponseRecorder(this.args.fromRecording, 'replay');
+        const manifest = recorder.readManifest();
+        console.log(`📼 Replaying ${manifest.source || 'unknown'} responses recorded at ${manifest.recordedAt} from ${this.args.fromRecording}`);
+        return recorder;
+      }
+
+      if (this.args.record) {
+        const recorder = new ResponseRecorder(this.args.record, 'record');
+        recorder.writeManifest({ source: this.source.name, argv: process.argv.slice(2) });
+        console.log(`🔴 Recording API responses to ${this.args.record}`);
+        return recorder;
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    return null;
+  }
+
+  loadNotionMapping() {
+    try {
+      return loadNotionMapping(this.args.notionMapping);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   parseIsoOrNull(s) {
     if (!s) return null;
     try {
@@ -122,6 +319,35 @@ class AssignmentSync {
     }
   }
 
+  // An ISO date or a relative offset: "30d", "2w", "12h", "3m" (months).
+  // Unsigned offsets move in `direction` (-1 back, 1 forward); "+"/"-" override it.
+  parseDateArg(value, direction = -1) {
+    const match = String(value || '').trim().match(/^([+-]?)(\d+)([hdwm])$/i);
+    if (!match) {
+      return this.parseIsoOrNull(value);
+    }
+
+    const [, sign, amount, unit] = match;
+    const offset = Number(amount) * (sign === '+' ? 1 : sign === '-' ? -1 : direction);
+    const date = new Date();
+
+    switch (unit.toLowerCase()) {
+      case 'h':
+        date.setTime(date.getTime() + offset * 60 * 60 * 1000);
+        break;
+      case 'd':
+        date.setTime(date.getTime() + offset * 24 * 60 * 60 * 1000);
+        break;
+      case 'w':
+        date.setTime(date.getTime() + offset * 7 * 24 * 60 * 60 * 1000);
+        break;
+      case 'm':
+        date.setUTCMonth(date.getUTCMonth() + offset);
+        break;
+    }
+    return date;
+  }
+
   iso(s) {
     if (!s) return '';
     const date = this.parseIsoOrNull(s);
@@ -135,18 +361,21 @@ class AssignmentSync {
 
   loadState() {
     try {
-      const stateData = fs.readFileSync('state.json', 'utf8');
-      return JSON.parse(stateData);
+      const stateData = fs.readFileSync(this.stateFile, 'utf8');
+      return { notionBodies: {}, snapshots: {}, ...JSON.parse(stateData) };
     } catch {
       return {
         lastRun: null,
-        seenIds: []
+        seenIds: [],
+        notionBodies: {}, // Assignment ID -> { pageId, hash, blockIds } of the page body we wrote
+        snapshots: {} // Assignment ID -> { hash, fields } as of the last sync, for the change log
       };
     }
   }
 
   saveState() {
-    fs.writeFileSync('state.json', JSON.stringify(this.state, null, 2));
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
   }
 
   generateCorrelationId() {
@@ -179,17 +408,51 @@ class AssignmentSync {
 
 USAGE:
   node sync-assignments.mjs [FLAGS]
+  node sync-assignments.mjs login           Sign in with a device code (no browser automation needed)
+  node sync-assignments.mjs tokens status   Show stored tokens (expiry, scopes, source)
+  node sync-assignments.mjs tokens import   Move plaintext tokens from .env into the token store
+  node sync-assignments.mjs --profile=<name> [...]   Any of the above for one profile
 
 FLAGS:
   --help, -h                Show this help message
   --full                    Sync all assignments (default)
   --incremental             Only sync new assignments
   --refresh-tokens          Refresh tokens before syncing
+  --source=<aui|graph>      Upstream API to fetch from (default: aui)
+  --record=<dir>            Save every API response to <dir> for later replay
+  --from-recording=<dir>    Replay a recording instead of calling the API (no token needed);
+                            only the exports are written, never state, change log, store or Notion
+  --prune=<archive|flag|off>  Handle Notion pages whose assignment vanished upstream (default: off)
+  --prune-status=<name>     Status used by --prune=flag (default: "Removed upstream")
+  --prune-dry-run           List pages that would be pruned without changing Notion
+  --notion-init=<page-id>   Create a new assignments database under a Notion page
+                            (defaults to NOTION_PARENT_PAGE_ID) and exit
+  --notion-check            Verify the Notion database schema, offer to add missing properties, and exit
+  --notion-mapping=<file>   Notion property mapping (default: notion-mapping.json if present)
+  --no-notion-body          Don't write instructions into the Notion page body
+  --store[=<file>]          Keep every assignment, snapshot and sync run in a SQLite
+                            database (default: assignments.db, or ASSIGNMENT_STORE)
+  --export-from-store       Write JSON/CSV/XLSX from the store (full history) instead of
+                            only this run's window; implies --store
+  --changes-since=<date>    Print assignment changes recorded since <date> and exit
+  --download-resources      List each assignment's resources and download files to
+                            outputs/resources/<class>/<assignment>/ (unchanged files are skipped)
+  --concurrency=<n>         Assignments normalized in parallel (default: 6, or SYNC_CONCURRENCY)
+  --no-detail-cache         Always refetch assignment details instead of reusing
+                            .cache/details.json for unmodified assignments
+  --profile=<name>          Use profiles/<name>.env (credentials, tenant, Notion target) over .env;
+                            state, outputs and tokens live in profiles/<name>/ (or SYNC_PROFILE)
+  --all-profiles            Run once per profile in profiles/, one after another, and print a
+                            combined summary
+  --yes, -y                 Answer yes to confirmation prompts
   --status=<status>         Filter by status (can use multiple times)
   --class-id=<uuid>         Filter by classroom ID (can use multiple times)
+  --since=<date|30d>        Fetch assignments due from this date (default: start of the month);
+                            offsets count back: 12h, 30d, 2w, 3m
+  --until=<date|14d>        Fetch assignments due up to this date; offsets count forward
   --due-before=<ISO-DATE>   Only assignments due before this date
   --due-after=<ISO-DATE>    Only assignments due after this date
-  --incomplete              Only incomplete assignments
+  --incomplete              Only assignments we haven't submitted (or that were reassigned)
   --overdue                 Only overdue assignments
   --details=<classId>:<assignmentId>  Show detailed info for one assignment
 
@@ -203,29 +466,53 @@ EXAMPLES:
   # Sync with a date filter
   node sync-assignments.mjs --due-before=2025-12-31T23:59:59Z
 
+  # Everything due in the last 30 days and the next two weeks
+  node sync-assignments.mjs --since=30d --until=14d
+
   # Combine multiple filters
   node sync-assignments.mjs --incomplete --overdue --incremental
 
   # Get details for a specific assignment
   node sync-assignments.mjs --details=class-uuid:assignment-uuid
 
+  # Fetch via Microsoft Graph instead of the AUI endpoint
+  node sync-assignments.mjs --source=graph
+
+  # Preview, then archive Notion pages for deleted/unassigned work
+  node sync-assignments.mjs --prune=archive --prune-dry-run
+  node sync-assignments.mjs --prune=archive
+
+  # Set up Notion: create a database, or repair an existing one
+  node sync-assignments.mjs --notion-init=<parent-page-id>
+  node sync-assignments.mjs --notion-check
+
+  # Capture a sync, then reproduce it offline
+  node sync-assignments.mjs --record=recordings/today
+  node sync-assignments.mjs --from-recording=recordings/today
+
+  # Two students: profiles/alice.env and profiles/bob.env
+  node sync-assignments.mjs --profile=alice login
+  node sync-assignments.mjs --all-profiles --incremental
+
 ENVIRONMENT:
   .env file should contain:
     AUI_TOKEN=<bearer-token>
     AUI_SESSION_ID=<session-id>
     AUI_URL=https://assignments.onenote.com/api/v1.0/assignments
+    GRAPH_TOKEN=<graph-bearer-token>   (only for --source=graph)
 
   Setup tokens automatically:
     npm run setup
     npm run extract-tokens
 
 OUTPUT:
-  Generated files in outputs/:
+  Generated files in outputs/ (profiles/<name>/outputs/ with --profile, or OUTPUT_DIR):
     - assignments.json, assignments.csv, assignments.xlsx
     - by-year/YYYY/assignments.*
     - by-month/YYYY/MM/assignments.*
+    - assignments.ics, by-class/<classId>/assignments.ics (calendar feeds)
     - notion_payload.json (for Notion upload)
-    - state.json (tracks processed assignments)
+    - state.json (tracks processed assignments; STATE_FILE, next to outputs/ for a profile)
 
 For more info, see README.md
 `);
@@ -258,11 +545,189 @@ For more info, see README.md
     }
   }
 
-  async refreshTokensIfNeeded() {
+  // Fill AUI_TOKEN/AUI_REFRESH_TOKEN/GRAPH_TOKEN from the token store. An access
+  // token already in the environment (CI secrets, legacy .env) is kept unless
+  // the stored one outlives it; preferStored is used right after a capture.
+  applyStoredTokens({ preferStored = false } = {}) {
+    if (!this.tokenStore.exists()) return;
+
+    for (const name of TOKEN_NAMES) {
+      let stored;
+      try {
+        stored = this.tokenStore.get(name);
+      } catch (error) {
+        if (!(error instanceof TokenStoreError)) throw error;
+        console.warn(`⚠️  ${error.message}; using tokens from the environment`);
+        return;
+      }
+      if (!stored?.value) continue;
+
+      const current = process.env[name];
+      const expiry = token => (decodeJwt(token)?.exp || 0) * 1000;
+      const isRefreshToken = name === 'AUI_REFRESH_TOKEN';
+
+      if (preferStored || !current || isRefreshToken || expiry(stored.value) > expiry(current)) {
+        process.env[name] = stored.value;
+      }
+    }
+  }
+
+  // A profile never falls back to the tokens or Notion settings in .env (see
+  // lib/profiles.mjs). Stop when it lacks ones .env has, rather than failing
+  // on a missing token later or quietly skipping Notion.
+  checkProfileCredentials() {
+    const withheld = withheldKeys();
+    const tokenKeys = this.source.name === 'aui' ? [this.source.tokenEnv, 'AUI_REFRESH_TOKEN'] : [this.source.tokenEnv];
+    const missingTokens = tokenKeys.every(key => !process.env[key]) ? tokenKeys.filter(key => withheld.includes(key)) : [];
+    const missing = [...missingTokens, ...['NOTION_TOKEN', 'NOTION_DATABASE_ID'].filter(key => withheld.includes(key))];
+    if (missing.length === 0) return;
+
+    console.error(`❌ Profile "${this.args.profile}" has no ${missing.join(', ')} of its own; profiles don't use the ones in .env.`);
+    console.error(`   Set them in ${envFile()}${missingTokens.length > 0 ? ` or sign in with: node sync-assignments.mjs --profile=${this.args.profile} login` : ''}`);
+    process.exit(1);
+  }
+
+  // tokens status: what the store holds and which token a sync would use.
+  // tokens import: move plaintext tokens from .env (or the profile's env file) into the store.
+  runTokensCommand(command) {
+    if (command === 'import') {
+      const env = readEnvFile(envFile());
+      const found = TOKEN_NAMES.filter(name => env[name]);
+      if (found.length === 0) {
+        console.log(`📄 No tokens in ${envFile()} to import`);
+        return true;
+      }
+      try {
+        found.forEach(name => this.tokenStore.set(name, env[name], { source: 'import' }));
+        this.tokenStore.save();
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+      }
+      updateEnvFile(found.map(name => [name, null]), envFile());
+      console.log(`✅ Moved ${found.join(', ')} from ${envFile()} into ${this.tokenStore.file}`);
+      return true;
+    }
+
+    console.log(`🔐 Token store: ${this.tokenStore.file} (${this.tokenStore.exists() ? this.tokenStore.backend : 'not created yet'})`);
+
+    let entries = [];
+    try {
+      entries = this.tokenStore.status();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+
+    const describe = (date) => {
+      const minutes = Math.round((new Date(date) - Date.now()) / 60000);
+      const span = Math.abs(minutes) >= 120 ? `${Math.round(Math.abs(minutes) / 60)}h` : `${Math.abs(minutes)}m`;
+      return minutes > 0 ? `in ${span}` : `${span} ago`;
+    };
+
+    for (const entry of entries) {
+      const state = entry.expired ? '❌ expired' : (entry.expiresAt ? '✅ valid' : '✅ stored');
+      const expiry = entry.expiresAt ? `, expires ${entry.expiresAt} (${describe(entry.expiresAt)})` : '';
+      console.log(`\n${entry.name.padEnd(18)} ${state}${expiry}`);
+      console.log(`${''.padEnd(18)} source: ${entry.source}, obtained ${entry.obtainedAt} (${describe(entry.obtainedAt)})`);
+      if (entry.scopes.length > 0) {
+        console.log(`${''.padEnd(18)} scopes: ${entry.scopes.join(' ')}`);
+      }
+    }
+    if (entries.length === 0) {
+      console.log('\nNo tokens stored. Run "npm run extract-tokens" to capture them.');
+    }
+
+    const plaintext = TOKEN_NAMES.filter(name => readEnvFile(envFile())[name]);
+    if (plaintext.length > 0) {
+      console.log(`\n⚠️  ${envFile()} still holds ${plaintext.join(', ')} in plaintext; run "node sync-assignments.mjs${this.args.profile ? ` --profile=${this.args.profile}` : ''} tokens import" to move them`);
+    }
+
+    // The token a sync would use right now, wherever it came from
+    const active = process.env[this.source.tokenEnv];
+    const activeExpiry = (decodeJwt(active)?.exp || 0) * 1000;
+    const usable = activeExpiry > Date.now();
+    console.log(`\n${usable ? '✅' : '❌'} ${this.source.tokenEnv} for this sync: ${active ? (usable ? `valid until ${new Date(activeExpiry).toISOString()}` : 'expired or unreadable') : 'missing'}`);
+    return usable;
+  }
+
+  // Device-code sign-in: prints a code to enter at microsoft.com/devicelogin on
+  // any device, so headless servers and CI can get tokens without Playwright.
+  async runLogin() {
+    console.log('🔐 Signing in with a device code...');
+
+    let result;
+    try {
+      const device = await requestDeviceCode();
+      console.log(`\n👉 ${device.message || `Open ${device.verificationUri} and enter the code ${device.userCode}`}\n`);
+      console.log(`⏳ Waiting for sign-in (the code expires in ${Math.round(device.expiresIn / 60)} minutes)...`);
+      result = await pollDeviceCode(device);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return false;
+    }
+
+    console.log('✅ Signed in');
+    this.validateToken(result.accessToken);
+
+    if (this.isCi()) {
+      // No token store in CI: hand the tokens to later steps, masked in the log
+      if (!process.env.GITHUB_ENV) {
+        console.warn('⚠️  CI without GITHUB_ENV: the tokens are not saved anywhere');
+        return true;
+      }
+      const lines = [['AUI_TOKEN', result.accessToken], ['AUI_REFRESH_TOKEN', result.refreshToken]].filter(([, value]) => value);
+      lines.forEach(([, value]) => console.log(`::add-mask::${value}`));
+      fs.appendFileSync(process.env.GITHUB_ENV, lines.map(([key, value]) => `${key}=${value}\n`).join(''));
+      console.log(`💾 Exported ${lines.map(([key]) => key).join(', ')} to GITHUB_ENV`);
+      return true;
+    }
+
+    try {
+      this.tokenStore.saveOAuthResult(result, 'device-code');
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return false;
+    }
+    console.log(`💾 Saved tokens to ${this.tokenStore.file}${result.refreshToken ? '' : ' (no refresh token was issued)'}`);
+
+    // Browser capture also records the work feed URL; a device-code login has to default it
+    if (!process.env.AUI_URL) {
+      const auiUrl = `${process.env.AUI_API_BASE || AUI_API_BASE}/edu/me/work`;
+      updateEnvFile([['AUI_URL', auiUrl]], envFile());
+      console.log(`📝 Set AUI_URL=${auiUrl} in ${envFile()}`);
+    }
+    return true;
+  }
+
+  isCi() {
+    return process.env.CI === 'true' || process.env.GITHUB_ACTIONS === 'true';
+  }
+
+  // Auto-refresh unless disabled. Only AUI tokens can be refreshed; other sources
+  // are validated as-is. In CI only the refresh-token grant is available, so a
+  // browser is never launched there without --refresh-tokens.
+  canRefreshTokens() {
+    const autoRefreshDisabled = process.env.AUI_AUTO_REFRESH === '0';
+    return !this.recorder?.replaying &&
+      this.source.name === 'aui' &&
+      (this.args.refreshTokens || (!autoRefreshDisabled && (!this.isCi() || Boolean(process.env.AUI_REFRESH_TOKEN))));
+  }
+
+  // force: the API rejected a token that still looks valid, so refresh anyway
+  async refreshTokensIfNeeded({ force = false } = {}) {
     const token = process.env.AUI_TOKEN;
 
-    if (!token || !this.validateToken(token)) {
-      console.log('🔄 Token is missing or expired, attempting to refresh...');
+    if (force || !token || !this.validateToken(token)) {
+      console.log(force ? '🔄 Token was rejected, attempting to refresh...' : '🔄 Token is missing or expired, attempting to refresh...');
+
+      // The refresh-token grant is quick and headless; the browser is the fallback
+      if (await this.refreshWithRefreshToken()) {
+        return true;
+      }
+      if (this.isCi() && !this.args.refreshTokens) {
+        console.error('❌ Token refresh failed and the browser extractor is not run in CI (bootstrap with: node sync-assignments.mjs login)');
+        return false;
+      }
 
       try {
         // Launch simple-edge-extractor.mjs as a subprocess
@@ -287,8 +752,10 @@ For more info, see README.md
           extractorProcess.on('error', reject);
         });
 
-        // Reload environment variables from .env file, overriding existing values
+        // Reload .env (AUI_URL, session) and the tokens the extractor stored
         loadEnv(true);
+        this.tokenStore = new TokenStore();
+        this.applyStoredTokens({ preferStored: true });
 
         // Validate the refreshed token
         if (this.validateToken(process.env.AUI_TOKEN)) {
@@ -308,69 +775,159 @@ For more info, see README.md
     return true;
   }
 
-  async fetchWithAuth(url, allowFailure = false) {
-    const token = process.env.AUI_TOKEN;
-    
+  // Exchange AUI_REFRESH_TOKEN for a new access token (same grant as refresh-token.mjs).
+  // The new tokens are saved to the token store locally so the next run starts with them.
+  async refreshWithRefreshToken() {
+    const refreshToken = process.env.AUI_REFRESH_TOKEN;
+    if (!refreshToken) {
+      return false;
+    }
+
     try {
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json, text/plain, */*',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/26.0 Safari/605.1.15',
-          'Referer': 'https://assignments.onenote.com/',
-          'Accept-Language': 'en-GB,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Sec-Fetch-Site': 'same-origin',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Dest': 'empty',
-          'Priority': 'u=3, i',
-          'x-aui-version': 'aui.v20250908.5',
-          'MS-Int-AppID': 'assignments-ui',
-          'x-correlationid': this.generateCorrelationId(),
-          'x-aui-app': 'assignments',
-          'x-teams-ring': 'general',
-          'x-usersessionid': process.env.AUI_SESSION_ID || this.generateCorrelationId(),
-          'X-MS-IsWeekView': 'undefined',
-          'x-rh': '1'
+      console.log('🔑 Exchanging AUI_REFRESH_TOKEN for a new access token...');
+      const result = await refreshAccessToken(refreshToken);
+
+      if (!this.validateToken(result.accessToken)) {
+        console.warn('⚠️  Refresh-token grant returned an unusable access token');
+        return false;
+      }
+
+      process.env.AUI_TOKEN = result.accessToken;
+      if (result.refreshToken) {
+        process.env.AUI_REFRESH_TOKEN = result.refreshToken;
+      }
+      if (!this.isCi()) {
+        try {
+          this.tokenStore.saveOAuthResult(result, 'sync');
+        } catch (error) {
+          // The rotated refresh token only lives in memory now; the next run re-captures
+          console.warn(`⚠️  Could not save refreshed tokens: ${error.message}`);
         }
+      }
+
+      console.log('✅ Access token refreshed via refresh token');
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}`);
+      return false;
+    }
+  }
+
+  // A request got 401 with sentToken. Concurrent requests share one refresh;
+  // a request that raced an already-finished refresh just retries. Returns
+  // whether it is worth retrying with process.env's token.
+  async refreshAfterAuthError(sentToken) {
+    if (process.env[this.source.tokenEnv] !== sentToken) {
+      return true;
+    }
+    if (!this.canRefreshTokens() || this.authRefreshes >= MAX_AUTH_REFRESHES) {
+      return false;
+    }
+
+    if (!this.tokenRefresh) {
+      this.authRefreshes++;
+      this.tokenRefresh = this.refreshTokensIfNeeded({ force: true }).finally(() => {
+        this.tokenRefresh = null;
       });
+    }
+    return this.tokenRefresh;
+  }
 
-      if (response.status === 401 || response.status === 403) {
-        if (allowFailure) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        console.error('Authorization failed (likely expired token). Recapture a fresh Bearer token.');
-        process.exit(1);
+  // GET a JSON resource. Failures are thrown as typed errors (lib/api-errors.mjs);
+  // 429, 5xx and network errors are retried first, honouring Retry-After, and a
+  // 401 is retried once after refreshing the token. A 403 (ForbiddenError) goes
+  // straight to the caller: a new token wouldn't grant access, so it must not
+  // use up MAX_AUTH_REFRESHES or start the extractor mid-sync.
+  async fetchWithAuth(url, headers = this.source.headers()) {
+    if (this.recorder?.replaying) {
+      const entry = this.recorder.load('responses', url);
+      if (entry) {
+        return entry.data;
       }
+      throw new NotFoundError(`No recorded response for ${url}`, { url });
+    }
+
+    // The auth retry is counted apart from transient retries, so a refresh
+    // doesn't use up one of API_MAX_RETRIES
+    let authRetried = false;
+    let attempt = 0;
+
+    for (;;) {
+      // Always send the current token, so a refresh mid-run reaches later pages too
+      const token = process.env[this.source.tokenEnv];
+      const requestHeaders = headers.Authorization ? { ...headers, Authorization: `Bearer ${token}` } : headers;
 
-      if (response.status !== 200) {
-        if (allowFailure) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      let error;
+      try {
+        const response = await fetch(url, { headers: requestHeaders });
+
+        if (response.ok) {
+          const data = await response.json();
+          this.recorder?.save('responses', url, data);
+          return data;
         }
-        const body = await response.text();
-        console.error(`HTTP ${response.status}: ${body.substring(0, 2000)}`);
-        process.exit(1);
+
+        const body = await response.text().catch(() => '');
+        error = errorFromResponse(response, url, body.substring(0, 2000));
+      } catch (fetchError) {
+        if (fetchError instanceof ApiError) throw fetchError;
+        error = new TransientError(`Network error: ${fetchError.message}`, { url });
       }
 
-      return await response.json();
-    } catch (error) {
-      if (allowFailure) {
+      // Expired mid-run: refresh once and repeat this request with the new token
+      if (error instanceof AuthError && error.status === 401 && !authRetried && await this.refreshAfterAuthError(token)) {
+        authRetried = true;
+        continue;
+      }
+
+      if (!error.retryable || attempt >= API_MAX_RETRIES) {
         throw error;
       }
-      console.error(`Fetch error: ${error.message}`);
-      process.exit(1);
+
+      const delay = Math.min(error.retryAfterMs ?? 1000 * 2 ** attempt + Math.random() * 250, API_MAX_BACKOFF_MS);
+      console.warn(`⚠️  ${error.message} for ${this.shortUrl(url)}, retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${API_MAX_RETRIES})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      attempt++;
     }
   }
 
-  async fetchClassMembers(classId) {
-    if (this.classMembers.has(classId)) {
-      return this.classMembers.get(classId);
+  shortUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname;
+    } catch {
+      return url;
     }
+  }
 
-    const membersUrl = `https://assignments.onenote.com/api/v1.0/edu/classes/${classId}/members?\$orderBy=displayName%20asc`;
-    
+  async fetchAllPages(url, headers) {
+    const allItems = [];
+    let nextUrl = url;
+
+    while (nextUrl) {
+      const data = await this.fetchWithAuth(nextUrl, headers);
+
+      if (data.value && Array.isArray(data.value)) {
+        allItems.push(...data.value);
+      }
+
+      nextUrl = data['@odata.nextLink'] || null;
+    }
+
+    return allItems;
+  }
+
+  // Concurrent normalizers asking for the same class share one request
+  fetchClassMembers(classId) {
+    if (!this.classMembers.has(classId)) {
+      this.classMembers.set(classId, this.loadClassMembers(classId));
+    }
+    return this.classMembers.get(classId);
+  }
+
+  async loadClassMembers(classId) {
     try {
-      const data = await this.fetchWithAuth(membersUrl, true);
+      const memberList = await this.fetchClassMemberList(classId);
       
       const members = {
         teachers: [],
@@ -378,81 +935,82 @@ For more info, see README.md
         byId: new Map()
       };
 
-      if (data.value && Array.isArray(data.value)) {
-        data.value.forEach(member => {
-          const person = {
-            id: member.id,
-            displayName: member.displayName,
-            email: member.email,
-            role: member.role
-          };
-          
-          members.byId.set(member.id, person);
-          
-          if (member.role === 'teacher') {
-            members.teachers.push(person);
-          } else if (member.role === 'student') {
-            members.students.push(person);
-          }
-        });
-      }
+      memberList.forEach(person => {
+        members.byId.set(person.id, person);
+
+        if (person.role === 'teacher') {
+          members.teachers.push(person);
+        } else if (person.role === 'student') {
+          members.students.push(person);
+        }
+      });
 
-      this.classMembers.set(classId, members);
       return members;
       
     } catch (error) {
-      console.warn(`Could not fetch members for class ${classId}: ${error.message}`);
-      
+      this.noteDegraded('members', classId, error);
+
       // Return empty members object if we can't fetch
-      const emptyMembers = {
+      return {
         teachers: [],
         students: [],
         byId: new Map()
       };
-      
-      this.classMembers.set(classId, emptyMembers);
-      return emptyMembers;
     }
   }
 
-  async fetchAssignmentDetails(classId, assignmentId) {
-    const token = process.env.AUI_TOKEN;
-    const sessionId = process.env.AUI_SESSION_ID;
-
-    if (!token) {
-      throw new Error('AUI_TOKEN environment variable is required');
+  async fetchClassMemberList(classId) {
+    if (this.recorder?.replaying) {
+      const entry = this.recorder.load('members', classId);
+      if (!entry) {
+        throw new Error('not in recording');
+      }
+      return entry.data;
     }
 
-    const url = `https://assignments.onenote.com/api/v1.0/edu/classes('${classId}')/assignments('${assignmentId}')?$expand=rubric(),resources(dependentResources()),postSubmitOperations(),gradingCategory(),submissionAggregates(),gradingScheme()`;
+    const memberList = await this.source.fetchClassMembers(classId);
+    this.recorder?.save('members', classId, memberList);
+    return memberList;
+  }
 
-    console.log(`🔍 Fetching assignment details for ${assignmentId}...`);
+  fetchClassInfo(classId) {
+    if (!this.classInfo.has(classId)) {
+      this.classInfo.set(classId, this.loadClassInfo(classId));
+    }
+    return this.classInfo.get(classId);
+  }
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/json, text/plain, */*',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/26.0 Safari/605.1.15',
-        'x-rh': '1',
-        'x-correlationid': this.generateCorrelationId(),
-        'x-usersessionid': sessionId || this.generateCorrelationId(),
-        'x-aui-version': 'aui.v20250908.5',
-        'MS-Int-AppID': 'assignments-ui',
-        'x-aui-app': 'assignments',
-        'x-teams-ring': 'general'
+  async loadClassInfo(classId) {
+    let info;
+    try {
+      if (this.recorder?.replaying) {
+        const entry = this.recorder.load('classes', classId);
+        if (!entry) {
+          throw new Error('not in recording');
+        }
+        info = entry.data;
+      } else {
+        info = await this.source.fetchClass(classId);
+        this.recorder?.save('classes', classId, info);
       }
-    });
+    } catch (error) {
+      this.noteDegraded('class', classId, error);
+      info = { id: classId, displayName: '', description: '', code: '', subject: '' };
+    }
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Authorization failed (likely expired token). Recapture a fresh Bearer token.');
-      }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    return info;
+  }
+
+  async fetchAssignmentDetails(classId, assignmentId) {
+    if (!this.recorder?.replaying && !process.env[this.source.tokenEnv]) {
+      throw new Error(`${this.source.tokenEnv} environment variable is required`);
     }
 
-    const assignment = await response.json();
+    console.log(`🔍 Fetching assignment details for ${assignmentId}...`);
+
+    const assignment = await this.source.fetchDetails(classId, assignmentId);
     console.log(`✅ Fetched assignment: "${assignment.displayName}"`);
-    console.log(`📝 Description: ${assignment.instructions?.content ? assignment.instructions.content.replace(/<[^>]*>/g, '') : 'No description'}`);
+    console.log(`📝 Description: ${assignment.instructions?.content ? htmlToPlainText(assignment.instructions.content) : 'No description'}`);
     console.log(`📅 Due: ${assignment.dueDateTime}`);
     console.log(`👥 Status: ${assignment.status}, All turned in: ${assignment.allTurnedIn}`);
 
@@ -460,95 +1018,179 @@ For more info, see README.md
   }
 
   async fetchAllAssignments() {
-    let url = process.env.AUI_URL;
-
-    if (!url) {
-      console.error('AUI_URL environment variable is required');
-      process.exit(1);
+    if (this.recorder?.replaying) {
+      const entry = this.recorder.load('assignments', 'list');
+      if (!entry) {
+        console.error(`Recording ${this.args.fromRecording} has no assignment list`);
+        process.exit(1);
+      }
+      // The recorded list was filtered upstream, so every filter is re-applied locally
+      const window = this.recorder.load('assignments', 'window')?.data;
+      this.fetchWindow = window?.dueAfter ? {
+        ...window,
+        dueAfter: new Date(window.dueAfter),
+        dueBefore: window.dueBefore ? new Date(window.dueBefore) : null
+      } : null;
+      this.listIncomplete = Boolean(window?.listIncomplete);
+      return entry.data;
     }
-    if (!process.env.AUI_TOKEN) {
-      console.error('AUI_TOKEN environment variable is required');
+
+    if (!process.env[this.source.tokenEnv]) {
+      console.error(`${this.source.tokenEnv} environment variable is required`);
       process.exit(1);
     }
 
-    // Ensure we control the date filter: start from the beginning of the current month.
-    try {
-      const parsed = new URL(url);
-
-      // Compute start of current month in UTC
-      const now = new Date();
-      const monthStart = new Date(Date.UTC(
-        now.getUTCFullYear(),
-        now.getUTCMonth(),
-        1, 0, 0, 0, 0
-      ));
+    this.fetchWindow = this.buildFetchWindow();
+    this.serverFiltered = new Set(this.source.serverFilters);
 
-      // Replace any existing $filter with our own month-based filter
-      parsed.searchParams.delete('$filter');
-      parsed.searchParams.set('$filter', `dueDateTime ge ${monthStart.toISOString()}`);
+    const range = `${this.fetchWindow.dueAfter.toISOString()} → ${this.fetchWindow.dueBefore?.toISOString() || 'open'}`;
+    console.log(`📅 Fetching assignments due ${range}`);
 
-      console.log(`📅 Applying API date filter from start of month: dueDateTime ge ${monthStart.toISOString()}`);
-
-      url = parsed.toString();
-    } catch {
-      // If URL parsing fails, just fall back to the original string
+    // A partial list would make every missing assignment look deleted, so any
+    // failure here is left to run() to abort (or refresh and retry). Graph
+    // skips classes it cannot list instead; pruning is then skipped.
+    const items = await this.source.fetchList(this.fetchWindow);
+    const failedClasses = this.source.failedClasses || [];
+    if (failedClasses.length > 0) {
+      this.listIncomplete = true;
+      console.warn(`⚠️  Assignment list is incomplete: ${failedClasses.length} classes failed (${failedClasses.join(', ')})`);
     }
+    this.recorder?.save('assignments', 'list', items);
+    this.recorder?.save('assignments', 'window', { ...this.fetchWindow, listIncomplete: this.listIncomplete });
+    return items;
+  }
 
-    let allItems = [];
-    let nextUrl = url;
-
-    while (nextUrl) {
-      const data = await this.fetchWithAuth(nextUrl);
-      
-      if (data.value && Array.isArray(data.value)) {
-        allItems.push(...data.value);
-      }
-
-      nextUrl = data['@odata.nextLink'] || null;
-    }
+  // What to ask the API for. Defaults to the start of the current month (UTC);
+  // --since/--until widen or narrow that, and --due-after/--due-before,
+  // --status and --incomplete are sent along so less is fetched.
+  buildFetchWindow() {
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0, 0));
+
+    const starts = [
+      this.args.since ? this.parseDateArg(this.args.since, -1) : null,
+      this.args.dueAfter ? this.parseIsoOrNull(this.args.dueAfter) : null
+    ].filter(Boolean);
+    const ends = [
+      this.args.until ? this.parseDateArg(this.args.until, 1) : null,
+      this.args.dueBefore ? this.parseIsoOrNull(this.args.dueBefore) : null
+    ].filter(Boolean);
 
-    return allItems;
+    return {
+      // Both bounds given: the narrower one wins
+      dueAfter: starts.length > 0 ? new Date(Math.max(...starts)) : monthStart,
+      dueBefore: ends.length > 0 ? new Date(Math.min(...ends)) : null,
+      statuses: this.args.statuses,
+      incomplete: this.args.incomplete
+    };
   }
 
-  async fetchDetailedAssignment(classId, assignmentId) {
-    const detailUrl = `https://assignments.onenote.com/api/v1.0/edu/classes/${classId}/assignments/${assignmentId}?\$expand=rubric,resources(\$expand=dependentResources),postSubmitOperations,gradingCategory,submissionAggregates,gradingScheme`;
+  // lastModified (the list's lastModifiedDateTime) lets an unchanged assignment
+  // reuse its cached detail response instead of calling the API again.
+  async fetchDetailedAssignment(classId, assignmentId, lastModified = null) {
+    const key = `${classId}:${assignmentId}`;
 
-    try {
-      const response = await fetch(detailUrl, {
-        headers: {
-          'Authorization': `Bearer ${process.env.AUI_TOKEN}`,
-          'Accept': 'application/json, text/plain, */*',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/26.0 Safari/605.1.15',
-          'Referer': 'https://assignments.onenote.com/',
-          'Accept-Language': 'en-GB,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Sec-Fetch-Site': 'same-origin',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Dest': 'empty',
-          'Priority': 'u=3, i',
-          'x-aui-version': 'aui.v20250908.5',
-          'MS-Int-AppID': 'assignments-ui',
-          'x-correlationid': this.generateCorrelationId(),
-          'x-aui-app': 'assignments',
-          'x-teams-ring': 'general',
-          'x-usersessionid': process.env.AUI_SESSION_ID || this.generateCorrelationId(),
-          'x-rh': '1',
-          'Prefer': 'AssignmentStatusV2'
-        }
-      });
+    if (this.recorder?.replaying) {
+      return this.recorder.load('details', key)?.data || null;
+    }
 
-      if (response.ok) {
-        return await response.json();
+    let detailed = this.detailCache?.get(key, lastModified) || null;
+    if (!detailed) {
+      try {
+        detailed = await this.source.fetchDetails(classId, assignmentId);
+        this.detailCache?.set(key, lastModified, detailed);
+      } catch (error) {
+        this.noteDegraded('details', key, error);
       }
-    } catch (error) {
-      console.warn(`Could not fetch detailed assignment ${assignmentId}: ${error.message}`);
     }
 
-    return null;
+    this.recorder?.save('details', key, detailed);
+    return detailed;
   }
 
-  async normalizeAssignment(raw) {
-    const submissionAggregates = raw.submissionAggregates || {};
+  // A lookup failed after fetchWithAuth's retries. Auth failures (which
+  // fetchWithAuth could not fix by refreshing) abort the run; 404 and 403 are
+  // permanent, so the item just goes without that data; anything else leaves
+  // the assignment with partial data (see partialIds).
+  noteDegraded(scope, key, error) {
+    if (error instanceof AuthError) {
+      throw error;
+    }
+    if (!(error instanceof NotFoundError || error instanceof ForbiddenError)) {
+      this.degraded.push({ scope, key, error: error.message });
+    }
+    console.warn(`⚠️  Could not fetch ${scope} for ${key}: ${error.message}`);
+  }
+
+  // Assignments normalized without their class members/info or details
+  partialIds(items) {
+    const classIds = new Set(this.degraded.filter(entry => entry.scope !== 'details').map(entry => entry.key));
+    const detailKeys = new Set(this.degraded.filter(entry => entry.scope === 'details').map(entry => entry.key));
+    return new Set(items
+      .filter(item => classIds.has(item.classId) || detailKeys.has(`${item.classId}:${item.id}`))
+      .map(item => item.id));
+  }
+
+  // Normalize with up to --concurrency assignments in flight. Class lookups are
+  // shared through the promise caches; detail responses come from the disk cache
+  // when the assignment's lastModifiedDateTime hasn't moved.
+  async normalizeAll(rawAssignments) {
+    console.log(`Normalizing ${rawAssignments.length} assignments and fetching class details (concurrency ${this.args.concurrency})...`);
+
+    if (this.args.detailCache && !this.recorder?.replaying) {
+      this.detailCache = new DetailCache(profilePath(DETAIL_CACHE_FILE));
+    }
+
+    try {
+      return await mapPool(rawAssignments, this.args.concurrency, raw => this.normalizeAssignment(raw));
+    } finally {
+      if (this.detailCache) {
+        this.detailCache.save();
+        console.log(`🗄️  Detail cache: ${this.detailCache.hits} reused, ${this.detailCache.misses} fetched`);
+      }
+    }
+  }
+
+  // Object ID of the signed-in user, used to pick our own submission when the
+  // API returns more than one (e.g. Graph with a teacher token).
+  tokenUserId() {
+    try {
+      const token = process.env[this.source.tokenEnv] || '';
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+      return payload.oid || null;
+    } catch {
+      return null;
+    }
+  }
+
+  ownSubmission(raw) {
+    const submissions = Array.isArray(raw.submissions) ? raw.submissions : [];
+    const userId = this.tokenUserId();
+    return submissions.find(s =>
+      userId && (s.recipient?.userId === userId || s.submittedBy?.user?.id === userId)
+    ) || submissions[0] || null;
+  }
+
+  // Our own submission: status (working, submitted, returned, reassigned),
+  // submitted/returned timestamps and whether it went in after the due date.
+  extractSubmission(raw, submission) {
+    if (!submission) {
+      return { submissionStatus: '', submittedDate: '', returnedDate: '', isLate: false };
+    }
+
+    const submitted = this.parseIsoOrNull(submission.submittedDateTime);
+    const due = this.parseIsoOrNull(raw.dueDateTime);
+
+    return {
+      submissionStatus: String(submission.status || ''),
+      submittedDate: this.iso(submission.submittedDateTime),
+      returnedDate: this.iso(submission.returnedDateTime),
+      isLate: Boolean(submitted && due && submitted > due)
+    };
+  }
+
+  async normalizeAssignment(raw) {
+    const submissionAggregates = raw.submissionAggregates || {};
     const classId = String(raw.classId || '');
 
     // Use teacher data exactly as provided by the API
@@ -581,38 +1223,81 @@ For more info, see README.md
         studentCount = members.students.length;
       }
     } catch (error) {
+      if (error instanceof AuthError) throw error;
       console.warn(`Could not fetch class members for ${classId}: ${error.message}`);
     }
 
+    const classInfo = classId
+      ? await this.fetchClassInfo(classId)
+      : { displayName: '', code: '', subject: '' };
+
     // Extract description from instructions
     let description = '';
+    let instructionsHtml = '';
     if (raw.instructions && raw.instructions.content) {
-      description = raw.instructions.content.replace(/<[^>]*>/g, '').trim();
+      instructionsHtml = raw.instructions.content;
+      description = htmlToPlainText(instructionsHtml);
     }
 
+    // Fetched at most once, for missing instructions or to resolve a grade
+    let detailedAssignment;
+    const fetchDetailed = async () => {
+      if (detailedAssignment === undefined) {
+        detailedAssignment = await this.fetchDetailedAssignment(classId, raw.id, raw.lastModifiedDateTime);
+      }
+      return detailedAssignment;
+    };
+
     // If description is missing or insufficient, try to fetch detailed assignment
     if (!description && classId && raw.id) {
       try {
         console.log(`📝 Fetching detailed instructions for assignment: ${raw.displayName}`);
-        const detailedAssignment = await this.fetchDetailedAssignment(classId, raw.id);
+        await fetchDetailed();
         if (detailedAssignment && detailedAssignment.instructions && detailedAssignment.instructions.content) {
-          description = detailedAssignment.instructions.content.replace(/<[^>]*>/g, '').trim();
+          instructionsHtml = detailedAssignment.instructions.content;
+          description = htmlToPlainText(instructionsHtml);
         }
       } catch (error) {
+        if (error instanceof AuthError) throw error;
         console.warn(`Could not fetch detailed assignment ${raw.id}: ${error.message}`);
       }
     }
 
+    // Resources are only expanded by the detail endpoint
+    let resources;
+    if (this.args.downloadResources) {
+      const rawResources = raw.resources || (classId && raw.id ? (await fetchDetailed())?.resources : null);
+      resources = listResources(rawResources);
+    }
+
+    const ownSubmission = this.ownSubmission(raw);
+    const submission = this.extractSubmission(raw, ownSubmission);
+
+    // Grades need the rubric and grading scheme, which only the detail endpoint expands
+    let grade = null;
+    if (ownSubmission?.outcomes?.length > 0) {
+      let gradingInfo = raw;
+      if (classId && raw.id && !(raw.rubric || raw.gradingScheme)) {
+        gradingInfo = { ...raw, ...(await fetchDetailed() || {}) };
+      }
+      grade = extractGrade(ownSubmission, gradingInfo, submission.returnedDate);
+    }
+
     return {
       id: String(raw.id || ''),
       title: String(raw.displayName || ''),
       description: description,
+      descriptionMarkdown: htmlToMarkdown(instructionsHtml),
+      instructionsHtml: instructionsHtml,
       dueDate: this.iso(raw.dueDateTime),
       assignedDate: this.iso(raw.assignedDateTime),
       createdDate: this.iso(raw.createdDateTime),
       modifiedDate: this.iso(raw.lastModifiedDateTime),
       status: String(raw.status || ''),
       classId: classId,
+      className: classInfo.displayName,
+      classCode: classInfo.code,
+      subject: classInfo.subject,
       teacherName: teacherName,
       teacherEmail: teacherEmail,
       studentCount: studentCount,
@@ -620,15 +1305,23 @@ For more info, see README.md
       allTurnedIn: Boolean(raw.allTurnedIn),
       anySubmittedState: Boolean(raw.anySubmittedState),
       allowLateSubmissions: Boolean(raw.allowLateSubmissions),
+      submissionStatus: submission.submissionStatus,
+      submittedDate: submission.submittedDate,
+      returnedDate: submission.returnedDate,
+      isLate: submission.isLate,
+      grade: grade,
+      ...(resources ? { resources } : {}),
       agg_total: Number(submissionAggregates.total || 0),
       agg_submitted: Number(submissionAggregates.submitted || 0)
     };
   }
 
-  applyFilters(items) {
+  // serverFiltered: filters the API already applied to `items` (only true for
+  // the list just fetched; the store's history was never filtered upstream)
+  applyFilters(items, { serverFiltered = this.serverFiltered } = {}) {
     return items.filter(item => {
       // Due date filters
-      if (this.args.dueBefore && item.dueDate) {
+      if (this.args.dueBefore && item.dueDate && !serverFiltered.has('dueBefore')) {
         const dueDate = this.parseIsoOrNull(item.dueDate);
         const beforeDate = this.parseIsoOrNull(this.args.dueBefore);
         if (dueDate && beforeDate && dueDate > beforeDate) {
@@ -636,7 +1329,7 @@ For more info, see README.md
         }
       }
 
-      if (this.args.dueAfter && item.dueDate) {
+      if (this.args.dueAfter && item.dueDate && !serverFiltered.has('dueAfter')) {
         const dueDate = this.parseIsoOrNull(item.dueDate);
         const afterDate = this.parseIsoOrNull(this.args.dueAfter);
         if (dueDate && afterDate && dueDate < afterDate) {
@@ -645,7 +1338,7 @@ For more info, see README.md
       }
 
       // Status filter
-      if (this.args.statuses.length > 0 && !this.args.statuses.includes(item.status)) {
+      if (this.args.statuses.length > 0 && !serverFiltered.has('statuses') && !this.args.statuses.includes(item.status)) {
         return false;
       }
 
@@ -654,9 +1347,14 @@ For more info, see README.md
         return false;
       }
 
-      // Incomplete filter
-      if (this.args.incomplete && (item.allTurnedIn && item.anySubmittedState)) {
-        return false;
+      // Incomplete filter: our own submission when we have it, else the class-level aggregates
+      if (this.args.incomplete && !serverFiltered.has('incomplete')) {
+        const complete = item.submissionStatus
+          ? ['submitted', 'returned'].includes(item.submissionStatus)
+          : item.allTurnedIn && item.anySubmittedState;
+        if (complete) {
+          return false;
+        }
       }
 
       // Overdue filter
@@ -680,12 +1378,12 @@ For more info, see README.md
 
   writeJsonFile(items) {
     // Create outputs directory if it doesn't exist
-    if (!fs.existsSync('outputs')) {
-      fs.mkdirSync('outputs', { recursive: true });
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
     }
 
     // Write main JSON file
-    fs.writeFileSync('outputs/assignments.json', JSON.stringify(items, null, 2));
+    fs.writeFileSync(`${this.outputDir}/assignments.json`, JSON.stringify(items, null, 2));
 
     // Write organized by year and month
     this.writeOrganizedFiles(items, 'json');
@@ -714,7 +1412,7 @@ For more info, see README.md
     
     // Write year files
     byYear.forEach((yearItems, year) => {
-      const yearDir = `outputs/by-year/${year}`;
+      const yearDir = `${this.outputDir}/by-year/${year}`;
       if (!fs.existsSync(yearDir)) {
         fs.mkdirSync(yearDir, { recursive: true });
       }
@@ -728,7 +1426,7 @@ For more info, see README.md
 
     // Write month files
     byMonth.forEach((monthItems, monthKey) => {
-      const monthDir = `outputs/by-month/${monthKey}`;
+      const monthDir = `${this.outputDir}/by-month/${monthKey}`;
       if (!fs.existsSync(monthDir)) {
         fs.mkdirSync(monthDir, { recursive: true });
       }
@@ -743,8 +1441,10 @@ For more info, see README.md
 
   writeCsvFile(items, filepath) {
     const headers = [
-      'id', 'title', 'classId', 'teacherName', 'teacherEmail', 'studentCount',
-      'status', 'dueDate', 'assignedDate', 'createdDate', 'modifiedDate', 
+      'id', 'title', 'classId', 'className', 'classCode', 'subject',
+      'teacherName', 'teacherEmail', 'studentCount',
+      'status', 'submissionStatus', 'submittedDate', 'returnedDate', 'isLate',
+      'dueDate', 'assignedDate', 'createdDate', 'modifiedDate', 
       'allTurnedIn', 'anySubmittedState', 'allowLateSubmissions', 
       'agg_total', 'agg_submitted', 'webUrl'
     ];
@@ -755,10 +1455,17 @@ For more info, see README.md
         `"${item.id}"`,
         `"${item.title.replace(/"/g, '""')}"`,
         `"${item.classId}"`,
+        `"${item.className.replace(/"/g, '""')}"`,
+        `"${item.classCode.replace(/"/g, '""')}"`,
+        `"${item.subject.replace(/"/g, '""')}"`,
         `"${item.teacherName.replace(/"/g, '""')}"`,
         `"${item.teacherEmail}"`,
         item.studentCount,
         `"${item.status}"`,
+        `"${item.submissionStatus}"`,
+        `"${item.submittedDate}"`,
+        `"${item.returnedDate}"`,
+        item.isLate ? 'TRUE' : 'FALSE',
         `"${item.dueDate}"`,
         `"${item.assignedDate}"`,
         `"${item.createdDate}"`,
@@ -777,8 +1484,10 @@ For more info, see README.md
 
   writeXlsxFile(items) {
     const headers = [
-      'id', 'title', 'classId', 'teacherName', 'teacherEmail', 'studentCount',
-      'status', 'dueDate', 'assignedDate', 'createdDate', 'modifiedDate', 
+      'id', 'title', 'classId', 'className', 'classCode', 'subject',
+      'teacherName', 'teacherEmail', 'studentCount',
+      'status', 'submissionStatus', 'submittedDate', 'returnedDate', 'isLate',
+      'dueDate', 'assignedDate', 'createdDate', 'modifiedDate', 
       'allTurnedIn', 'anySubmittedState', 'allowLateSubmissions', 
       'agg_total', 'agg_submitted', 'webUrl'
     ];
@@ -790,10 +1499,17 @@ For more info, see README.md
         item.id,
         item.title,
         item.classId,
+        item.className,
+        item.classCode,
+        item.subject,
         item.teacherName,
         item.teacherEmail,
         item.studentCount,
         item.status,
+        item.submissionStatus,
+        item.submittedDate,
+        item.returnedDate,
+        item.isLate ? 'TRUE' : 'FALSE',
         item.dueDate,
         item.assignedDate,
         item.createdDate,
@@ -812,108 +1528,210 @@ For more info, see README.md
     XLSX.utils.book_append_sheet(wb, ws, 'Assignments');
     
     // Create outputs directory if it doesn't exist
-    if (!fs.existsSync('outputs')) {
-      fs.mkdirSync('outputs', { recursive: true });
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
     }
 
-    XLSX.writeFile(wb, 'outputs/assignments.xlsx');
+    XLSX.writeFile(wb, `${this.outputDir}/assignments.xlsx`);
 
     // Write main CSV file too
-    this.writeCsvFile(items, 'outputs/assignments.csv');
+    this.writeCsvFile(items, `${this.outputDir}/assignments.csv`);
 
     // Write organized CSV files
     this.writeOrganizedFiles(items, 'csv');
   }
 
-  writeNotionPayload(items) {
-    const payload = items.map(item => {
-      const formatDate = (dateStr) => {
-        if (!dateStr) return null;
-        return {
-          start: new Date(dateStr).toISOString()
-        };
-      };
+  escapeIcsText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
 
-      return {
-        external_id: item.id,
-        properties: {
-          "Title": {
-            "title": [{
-              "text": { "content": item.title || "" }
-            }]
-          },
-          "Assignment ID": {
-            "rich_text": [{
-              "text": { "content": item.id || "" }
-            }]
-          },
-          "Notes": {
-            "rich_text": [{
-              "text": { "content": (item.description || "").substring(0, 2000) }
-            }]
-          },
-          "Status": {
-            "select": { "name": item.status || "" }
-          },
-          "allTurnedIn": {
-            "select": { "name": item.allTurnedIn ? "true" : "false" }
-          },
-          "allowLateSubmissions": {
-            "select": { "name": item.allowLateSubmissions ? "true" : "false" }
-          },
-          "anySubmittedState": {
-            "select": { "name": item.anySubmittedState ? "true" : "false" }
-          },
-          "teacherEmail": {
-            "email": item.teacherEmail || null
-          },
-          "teacherName": {
-            "multi_select": item.teacherName ? [{ "name": this.formatTeacherName(item.teacherName) }] : []
-          },
-          "classId": {
-            "rich_text": [{
-              "text": { "content": item.classId || "" }
-            }]
-          },
-          "classCode": {
-            "rich_text": [{
-              "text": { "content": "" }
-            }]
-          },
-          "webUrl": {
-            "url": item.webUrl || null
-          },
-          "studentCount": {
-            "number": item.studentCount || 0
-          },
-          "agg_total": {
-            "number": item.agg_total || 0
-          },
-          "agg_submitted": {
-            "number": item.agg_submitted || 0
-          },
-          "assignedDate": {
-            "date": formatDate(item.assignedDate)
-          },
-          "createdDate": {
-            "date": formatDate(item.createdDate)
-          },
-          "dueDate": {
-            "date": formatDate(item.dueDate)
-          },
-          "modifiedDate": {
-            "date": formatDate(item.modifiedDate)
-          }
-        }
-      };
+  // Fold content lines at 75 octets as required by RFC 5545
+  foldIcsLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+      if (Buffer.byteLength(current + char, 'utf8') > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  formatIcsDate(dateStr) {
+    return new Date(dateStr).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  buildIcsCalendar(items, calendarName) {
+    const now = this.formatIcsDate(new Date().toISOString());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//AssignmentSync//Teams Assignments//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeIcsText(calendarName)}`,
+      // Hint for subscribed calendars to re-fetch regularly
+      'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+      'X-PUBLISHED-TTL:PT6H'
+    ];
+
+    items.forEach(item => {
+      if (!item.dueDate) return;
+
+      const due = this.formatIcsDate(item.dueDate);
+      const details = [
+        item.classId ? `Class: ${item.className || item.classId}${item.classCode ? ` (${item.classCode})` : ''}` : '',
+        item.teacherName ? `Teacher: ${this.formatTeacherName(item.teacherName)}` : '',
+        item.status ? `Status: ${item.status}` : '',
+        item.submissionStatus ? `Submission: ${item.submissionStatus}${item.isLate ? ' (late)' : ''}` : '',
+        item.description ? `\n${item.description}` : ''
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        // Stable UID so calendar apps update the event instead of duplicating it
+        `UID:${item.id}@assignmentsync`,
+        `DTSTAMP:${now}`,
+        `DTSTART:${due}`,
+        `DTEND:${due}`,
+        `SUMMARY:${this.escapeIcsText(item.title)}`,
+        `DESCRIPTION:${this.escapeIcsText(details)}`
+      );
+      if (item.webUrl) lines.push(`URL:${item.webUrl}`);
+      if (item.modifiedDate) lines.push(`LAST-MODIFIED:${this.formatIcsDate(item.modifiedDate)}`);
+      lines.push('END:VEVENT');
     });
 
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+  }
+
+  writeIcsFile(items) {
     // Create outputs directory if it doesn't exist
-    if (!fs.existsSync('outputs')) {
-      fs.mkdirSync('outputs', { recursive: true });
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
     }
 
-    fs.writeFileSync('outputs/notion_payload.json', JSON.stringify(payload, null, 2));
+    fs.writeFileSync(`${this.outputDir}/assignments.ics`, this.buildIcsCalendar(items, 'Assignments'));
+
+    // One calendar per class so students can subscribe selectively
+    const byClass = new Map();
+    items.forEach(item => {
+      if (!item.classId) return;
+      if (!byClass.has(item.classId)) byClass.set(item.classId, []);
+      byClass.get(item.classId).push(item);
+    });
+
+    byClass.forEach((classItems, classId) => {
+      const classDir = `${this.outputDir}/by-class/${classId}`;
+      if (!fs.existsSync(classDir)) {
+        fs.mkdirSync(classDir, { recursive: true });
+      }
+      const calendarName = `Assignments - ${classItems[0].className || classId}`;
+      fs.writeFileSync(`${classDir}/assignments.ics`, this.buildIcsCalendar(classItems, calendarName));
+    });
+  }
+
+  async downloadAllResources(items) {
+    if (this.recorder?.replaying) {
+      console.log('⚠️  Resource downloads skipped while replaying a recording');
+      return;
+    }
+
+    const withResources = items.filter(item => item.resources?.length > 0);
+    console.log(`📎 Downloading resources for ${withResources.length} assignments...`);
+
+    const totals = { downloaded: 0, unchanged: 0, failed: 0, links: 0 };
+    for (const item of withResources) {
+      const { resources, counts } = await downloadResources(item, item.resources, {
+        root: `${this.outputDir}/resources`,
+        apiHost: new URL(this.source.baseUrl).host,
+        fetchWithAuth: url => this.fetchWithAuth(url),
+        headers: this.source.headers()
+      });
+      item.resources = resources;
+      totals.downloaded += counts.downloaded;
+      totals.unchanged += counts.unchanged;
+      totals.failed += counts.failed;
+      totals.links += resources.filter(resource => resource.kind === 'link').length;
+    }
+
+    console.log(`✅ Resources: ${totals.downloaded} downloaded, ${totals.unchanged} unchanged, ${totals.failed} failed, ${totals.links} links recorded`);
+  }
+
+  // Graded work only, one row per assignment; rubric selections are kept in
+  // full in the JSON and summarised as "Criterion: Level (points)" in the CSV.
+  writeGradesFiles(items) {
+    const graded = items.filter(item => item.grade);
+
+    // Create outputs directory if it doesn't exist
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    fs.writeFileSync(`${this.outputDir}/grades.json`, JSON.stringify(graded.map(item => ({
+      id: item.id,
+      title: item.title,
+      className: item.className,
+      subject: item.subject,
+      dueDate: item.dueDate,
+      submittedDate: item.submittedDate,
+      isLate: item.isLate,
+      ...item.grade
+    })), null, 2));
+
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const headers = [
+      'id', 'title', 'className', 'subject', 'dueDate', 'gradedDate',
+      'points', 'pointsPossible', 'percentage', 'letter', 'feedback', 'rubric'
+    ];
+
+    const csvContent = [
+      headers.join(','),
+      ...graded.map(item => [
+        quote(item.id),
+        quote(item.title),
+        quote(item.className),
+        quote(item.subject),
+        quote(item.dueDate),
+        quote(item.grade.gradedDate),
+        item.grade.points ?? '',
+        item.grade.pointsPossible ?? '',
+        item.grade.percentage ?? '',
+        quote(item.grade.letter),
+        quote(item.grade.feedback),
+        quote(item.grade.rubric
+          .map(row => `${row.criterion}: ${row.level}${row.points !== null ? ` (${row.points})` : ''}`)
+          .join('; '))
+      ].join(','))
+    ].join('\n');
+
+    fs.writeFileSync(`${this.outputDir}/grades.csv`, csvContent);
+  }
+
+  writeNotionPayload(items) {
+    const payload = items.map(item => ({
+      external_id: item.id,
+      properties: this.buildNotionProperties(item)
+    }));
+
+    // Create outputs directory if it doesn't exist
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    fs.writeFileSync(`${this.outputDir}/notion_payload.json`, JSON.stringify(payload, null, 2));
   }
 
   async uploadToNotion(items) {
@@ -921,200 +1739,539 @@ For more info, see README.md
     const NOTION_DATABASE_ID = process.env.NOTION_DATABASE_ID;
 
     if (!NOTION_TOKEN || !NOTION_DATABASE_ID) {
-      console.log('⚠️  Notion upload skipped: Missing NOTION_TOKEN or NOTION_DATABASE_ID in .env');
+      console.log(`⚠️  Notion upload skipped: Missing NOTION_TOKEN or NOTION_DATABASE_ID in ${envFile()}`);
       return;
     }
 
-    console.log('📤 Checking for existing assignments in Notion...');
+    // Fail once up front rather than with a 400 for every page. Optional
+    // properties the database lacks are just left out of this upload.
+    try {
+      const problems = await this.checkNotionSchema();
+      const optional = new Set(Object.values(this.notionMapping).filter(entry => entry.optional).map(entry => entry.name));
+      const skipped = problems.missing.filter(({ name }) => optional.has(name));
+      const required = { ...problems, missing: problems.missing.filter(({ name }) => !optional.has(name)) };
+
+      if (required.missing.length > 0 || required.mistyped.length > 0 || required.titleRename) {
+        this.reportNotionSchema(required);
+        console.error('❌ Notion upload skipped: database schema does not match. Run with --notion-check to fix it.');
+        return;
+      }
+      if (skipped.length > 0) {
+        console.warn(`⚠️  Notion database has no ${skipped.map(({ name }) => `"${name}"`).join(', ')} properties; leaving them out (run with --notion-check to add them)`);
+        const skippedNames = new Set(skipped.map(({ name }) => name));
+        this.notionMapping = Object.fromEntries(Object.entries(this.notionMapping).filter(([, entry]) => !skippedNames.has(entry.name)));
+      }
+    } catch (error) {
+      console.error(`❌ Notion upload skipped: could not read database schema (${error.message})`);
+      return;
+    }
 
-    // Get existing assignments to avoid duplicates
-    const existingIds = await this.getExistingNotionIds();
-    const newItems = items.filter(item => !existingIds.has(item.id));
+    console.log('📤 Checking for existing assignments in Notion...');
 
-    if (newItems.length === 0) {
-      console.log('✅ All assignments already exist in Notion');
+    // Map of Assignment ID -> existing Notion page, used to decide create vs update.
+    // An incomplete listing would turn updates into duplicate pages, so abort instead.
+    let existingPages;
+    try {
+      existingPages = await this.getExistingNotionPages();
+    } catch (error) {
+      console.error(`❌ Notion upload aborted: could not list existing pages (${error.message})`);
       return;
     }
 
-    console.log(`📤 Uploading ${newItems.length} new assignments to Notion...`);
+    console.log(`📤 Syncing ${items.length} assignments to Notion...`);
 
-    const rateLimiter = this.createRateLimiter(300); // 3 requests per second
-    let uploaded = 0;
-    let failed = 0;
+    const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+    let processed = 0;
+
+    for (const item of items) {
+      const existingPage = existingPages.get(item.id);
 
-    for (const item of newItems) {
-      await rateLimiter();
       try {
-        await this.createNotionPage(item);
-        uploaded++;
-        if (uploaded % 10 === 0) {
-          console.log(`📤 Uploaded ${uploaded}/${newItems.length} assignments...`);
+        if (!existingPage) {
+          const page = await this.createNotionPage(item);
+          await this.syncNotionBody(page.id, item);
+          counts.created++;
+        } else {
+          const changed = this.diffNotionProperties(this.buildNotionProperties(item), existingPage.properties);
+          if (Object.keys(changed).length > 0) {
+            await this.updateNotionPage(existingPage.id, changed);
+          }
+          const bodyChanged = await this.syncNotionBody(existingPage.id, item);
+
+          if (Object.keys(changed).length > 0 || bodyChanged) {
+            counts.updated++;
+          } else {
+            counts.unchanged++;
+          }
         }
       } catch (error) {
-        console.error(`❌ Failed to upload assignment ${item.id}:`, error.message);
-        failed++;
+        console.error(`❌ Failed to sync assignment ${item.id}:`, error.message);
+        counts.failed++;
+      }
+
+      processed++;
+      if (processed % 10 === 0) {
+        console.log(`📤 Processed ${processed}/${items.length} assignments...`);
       }
     }
 
-    console.log(`✅ Notion upload complete: ${uploaded} uploaded, ${failed} failed`);
+    console.log(`✅ Notion sync complete: ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+    return counts;
   }
 
-  async getExistingNotionIds() {
-    const NOTION_TOKEN = process.env.NOTION_TOKEN;
-    const NOTION_DATABASE_ID = process.env.NOTION_DATABASE_ID;
-    const existingIds = new Set();
-    let hasMore = true;
-    let startCursor = undefined;
+  async getExistingNotionPages() {
+    const idProperty = this.notionMapping.id.name;
+    const existingPages = new Map();
 
-    while (hasMore) {
-      try {
-        const response = await fetch(`https://api.notion.com/v1/databases/${NOTION_DATABASE_ID}/query`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${NOTION_TOKEN}`,
-            'Notion-Version': '2022-06-28',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            start_cursor: startCursor,
-            page_size: 100
-          })
-        });
+    // Throws rather than returning a partial map
+    const pages = await this.notion.queryAll(process.env.NOTION_DATABASE_ID);
+
+    pages.forEach(page => {
+      const assignmentId = this.notionPropertyValue(page.properties[idProperty]);
+      if (assignmentId) {
+        existingPages.set(assignmentId, page);
+      }
+    });
+
+    console.log(`📋 Found ${existingPages.size} existing assignments in Notion`);
+    return existingPages;
+  }
+
+  buildNotionProperties(item) {
+    const properties = {};
+
+    for (const [field, entry] of Object.entries(this.notionMapping)) {
+      const value = this.applyNotionTransform(entry.transform, this.fieldValue(item, field));
+      properties[entry.name] = this.toNotionProperty(entry.type, value);
+    }
 
-        if (!response.ok) {
-          throw new Error(`Notion API error: ${response.status} ${response.statusText}`);
+    return properties;
+  }
+
+  // Mapping keys may reach into nested fields, e.g. "grade.points"
+  fieldValue(item, field) {
+    return field.split('.').reduce((value, key) => value?.[key], item);
+  }
+
+  applyNotionTransform(transform, value) {
+    if (value === undefined || value === null || value === '') return value;
+
+    switch (transform) {
+      case 'teacherName':
+        return this.formatTeacherName(value);
+      case 'dateOnly':
+        return this.iso(value).substring(0, 10);
+      case 'uppercase':
+        return String(value).toUpperCase();
+      case 'lowercase':
+        return String(value).toLowerCase();
+      default:
+        return value;
+    }
+  }
+
+  toNotionProperty(type, value) {
+    const isEmpty = value === undefined || value === null || value === '';
+
+    switch (type) {
+      case 'title':
+      case 'rich_text':
+        // Notion rejects text objects longer than 2000 characters
+        return { [type]: [{ text: { content: String(value ?? '').substring(0, 2000) } }] };
+      case 'select':
+      case 'status':
+        return { [type]: isEmpty ? null : { name: String(value) } };
+      case 'multi_select': {
+        const names = Array.isArray(value) ? value : (isEmpty ? [] : [value]);
+        return { multi_select: names.map(name => ({ name: String(name) })) };
+      }
+      case 'date': {
+        if (isEmpty) return { date: null };
+        // Keep date-only values (YYYY-MM-DD) as they are
+        const start = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : this.iso(value);
+        return { date: start ? { start } : null };
+      }
+      case 'number':
+        return { number: isEmpty ? null : Number(value) };
+      case 'email':
+        return { email: value || null };
+      case 'url':
+        return { url: value || null };
+      case 'checkbox':
+        return { checkbox: Boolean(value) };
+      default:
+        throw new Error(`Unsupported Notion property type: ${type}`);
+    }
+  }
+
+  // Property name -> Notion type, as configured by the mapping
+  notionSchema() {
+    return Object.fromEntries(
+      Object.values(this.notionMapping).map(entry => [entry.name, entry.type])
+    );
+  }
+
+  async initNotionDatabase(parentPageId) {
+    if (!process.env.NOTION_TOKEN) {
+      throw new Error('NOTION_TOKEN is required to create a database');
+    }
+    if (!parentPageId) {
+      throw new Error('A parent page ID is required: --notion-init=<page-id> or NOTION_PARENT_PAGE_ID');
+    }
+
+    // The Notion API cannot create "status" properties; those are added by hand
+    const schema = Object.entries(this.notionSchema());
+    const manual = schema.filter(([, type]) => type === 'status').map(([name]) => name);
+    const properties = Object.fromEntries(
+      schema.filter(([, type]) => type !== 'status').map(([name, type]) => [name, { [type]: {} }])
+    );
+
+    console.log(`🏗️  Creating assignments database under page ${parentPageId}...`);
+
+    const database = await this.notion.request('POST', '/databases', {
+      parent: { type: 'page_id', page_id: parentPageId },
+      title: [{ type: 'text', text: { content: 'Assignments' } }],
+      properties
+    });
+
+    console.log(`✅ Created Notion database with ${Object.keys(properties).length} properties`);
+    manual.forEach(name => {
+      console.log(`💡 Add the status property "${name}" in Notion by hand (not supported by the API)`);
+    });
+    console.log(`💡 Add this to ${envFile()}: NOTION_DATABASE_ID="${database.id}"`);
+    return database;
+  }
+
+  // Compare the live database schema against notionSchema().
+  async checkNotionSchema() {
+    const database = await this.notion.request('GET', `/databases/${process.env.NOTION_DATABASE_ID}`);
+    const actual = database.properties || {};
+    const problems = { missing: [], mistyped: [], titleRename: null };
+
+    for (const [name, type] of Object.entries(this.notionSchema())) {
+      if (!actual[name]) {
+        // A database has exactly one title property; it may just be named differently
+        const existingTitle = Object.values(actual).find(property => property.type === 'title');
+        if (type === 'title' && existingTitle) {
+          problems.titleRename = { from: existingTitle.name, to: name };
+        } else {
+          problems.missing.push({ name, type });
         }
+      } else if (actual[name].type !== type) {
+        problems.mistyped.push({ name, expected: type, actual: actual[name].type });
+      }
+    }
 
-        const data = await response.json();
+    return problems;
+  }
 
-        data.results.forEach(page => {
-          const assignmentId = page.properties['Assignment ID']?.rich_text?.[0]?.text?.content;
-          if (assignmentId) {
-            existingIds.add(assignmentId);
-          }
-        });
+  reportNotionSchema(problems) {
+    if (problems.titleRename) {
+      console.log(`  ✏️  Title property is named "${problems.titleRename.from}", expected "${problems.titleRename.to}"`);
+    }
+    problems.missing.forEach(({ name, type }) => {
+      console.log(`  ➕ Missing property "${name}" (${type})`);
+    });
+    problems.mistyped.forEach(({ name, expected, actual }) => {
+      console.log(`  ⚠️  Property "${name}" is ${actual}, expected ${expected}`);
+    });
+  }
 
-        hasMore = data.has_more;
-        startCursor = data.next_cursor;
-      } catch (error) {
-        console.error('❌ Error fetching existing Notion entries:', error.message);
-        break;
+  async runNotionCheck() {
+    if (!process.env.NOTION_TOKEN || !process.env.NOTION_DATABASE_ID) {
+      throw new Error('NOTION_TOKEN and NOTION_DATABASE_ID are required for --notion-check');
+    }
+
+    console.log('🔎 Checking Notion database schema...');
+    const problems = await this.checkNotionSchema();
+
+    if (problems.missing.length === 0 && problems.mistyped.length === 0 && !problems.titleRename) {
+      console.log('✅ Notion database schema is valid');
+      return true;
+    }
+
+    this.reportNotionSchema(problems);
+
+    if (problems.mistyped.length > 0) {
+      console.log('💡 Mistyped properties must be changed (or removed) in Notion by hand, since converting them can lose data.');
+    }
+
+    const fixes = {};
+    if (problems.titleRename) {
+      fixes[problems.titleRename.from] = { name: problems.titleRename.to };
+    }
+    problems.missing.forEach(({ name, type }) => {
+      if (type === 'status') {
+        console.log(`💡 Status property "${name}" must be added in Notion by hand (not supported by the API).`);
+        return;
       }
+      fixes[name] = { [type]: {} };
+    });
+
+    if (Object.keys(fixes).length === 0) {
+      return false;
+    }
+
+    let confirmed = this.args.yes;
+    if (!confirmed && process.stdin.isTTY) {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const answer = await rl.question(`Apply ${Object.keys(fixes).length} schema fix(es) to the database? [y/N] `);
+      rl.close();
+      confirmed = /^y(es)?$/i.test(answer.trim());
+    }
+
+    if (!confirmed) {
+      console.log('ℹ️  No changes made (re-run with --yes to apply without prompting)');
+      return false;
     }
 
-    console.log(`📋 Found ${existingIds.size} existing assignments in Notion`);
-    return existingIds;
+    await this.notion.request('PATCH', `/databases/${process.env.NOTION_DATABASE_ID}`, { properties: fixes });
+    console.log(`✅ Applied ${Object.keys(fixes).length} schema fix(es)`);
+    return problems.mistyped.length === 0;
   }
 
-  async createNotionPage(item) {
-    const NOTION_TOKEN = process.env.NOTION_TOKEN;
-    const NOTION_DATABASE_ID = process.env.NOTION_DATABASE_ID;
+  // Reduce a Notion property (as we send it, or as the API returns it) to a
+  // plain value so the two shapes can be compared.
+  notionPropertyValue(property) {
+    if (!property) return null;
+
+    const text = (parts) => (parts || []).map(part => part.text?.content ?? part.plain_text ?? '').join('');
+
+    if ('title' in property) return text(property.title);
+    if ('rich_text' in property) return text(property.rich_text);
+    if ('select' in property) return property.select?.name || null;
+    if ('status' in property) return property.status?.name || null;
+    if ('multi_select' in property) return (property.multi_select || []).map(option => option.name).sort().join('|');
+    if ('date' in property) {
+      const start = property.date?.start;
+      if (!start) return null;
+      const date = new Date(start);
+      return isNaN(date.getTime()) ? start : date.toISOString();
+    }
+    if ('number' in property) return property.number ?? null;
+    if ('email' in property) return property.email || null;
+    if ('url' in property) return property.url || null;
+    if ('checkbox' in property) return Boolean(property.checkbox);
 
-    const formatDate = (dateStr) => {
-      if (!dateStr) return null;
-      return {
-        start: new Date(dateStr).toISOString()
-      };
-    };
+    return JSON.stringify(property);
+  }
 
-    const payload = {
-      parent: {
-        database_id: NOTION_DATABASE_ID
-      },
-      properties: {
-        "Title": {
-          "title": [{
-            "text": { "content": item.title || "" }
-          }]
-        },
-        "Assignment ID": {
-          "rich_text": [{
-            "text": { "content": item.id || "" }
-          }]
-        },
-        "Notes": {
-          "rich_text": [{
-            "text": { "content": (item.description || "").substring(0, 2000) }
-          }]
-        },
-        "Status": {
-          "select": { "name": item.status || "" }
-        },
-        "allTurnedIn": {
-          "select": { "name": item.allTurnedIn ? "true" : "false" }
-        },
-        "allowLateSubmissions": {
-          "select": { "name": item.allowLateSubmissions ? "true" : "false" }
-        },
-        "anySubmittedState": {
-          "select": { "name": item.anySubmittedState ? "true" : "false" }
-        },
-        "teacherEmail": {
-          "email": item.teacherEmail || null
-        },
-        "teacherName": {
-          "multi_select": item.teacherName ? [{ "name": this.formatTeacherName(item.teacherName) }] : []
-        },
-        "classId": {
-          "rich_text": [{
-            "text": { "content": item.classId || "" }
-          }]
-        },
-        "webUrl": {
-          "url": item.webUrl || null
-        },
-        "studentCount": {
-          "number": item.studentCount || 0
-        },
-        "agg_total": {
-          "number": item.agg_total || 0
-        },
-        "agg_submitted": {
-          "number": item.agg_submitted || 0
-        },
-        "assignedDate": {
-          "date": formatDate(item.assignedDate)
-        },
-        "createdDate": {
-          "date": formatDate(item.createdDate)
-        },
-        "dueDate": {
-          "date": formatDate(item.dueDate)
-        },
-        "modifiedDate": {
-          "date": formatDate(item.modifiedDate)
+  // Returns only the properties whose value differs from the existing page.
+  diffNotionProperties(properties, existingProperties = {}) {
+    const changed = {};
+
+    for (const [name, property] of Object.entries(properties)) {
+      if (this.notionPropertyValue(property) !== this.notionPropertyValue(existingProperties[name])) {
+        changed[name] = property;
+      }
+    }
+
+    return changed;
+  }
+
+  // Archive or flag pages whose assignment is no longer returned upstream.
+  // Only pages due inside the fetched window are considered, since anything
+  // outside it was never requested and cannot be judged missing.
+  async pruneNotionPages(upstreamIds) {
+    if (this.args.prune === 'off' || !process.env.NOTION_TOKEN || !process.env.NOTION_DATABASE_ID) {
+      return;
+    }
+
+    if (!this.fetchWindow) {
+      console.warn('⚠️  Prune skipped: the fetched date window is unknown');
+      return;
+    }
+    // Pages of a class that failed to list would all look deleted
+    if (this.listIncomplete) {
+      console.warn('⚠️  Prune skipped: some classes could not be listed, so missing assignments may still exist');
+      return;
+    }
+    // A status/incomplete filter leaves out assignments that still exist upstream
+    if (this.fetchWindow.statuses?.length > 0 || this.fetchWindow.incomplete) {
+      console.warn('⚠️  Prune skipped: --status/--incomplete narrow the fetch, so missing assignments may still exist');
+      return;
+    }
+
+    const { dueDate, status } = this.notionMapping;
+    const title = Object.values(this.notionMapping).find(entry => entry.type === 'title');
+    if (!dueDate) {
+      console.warn('⚠️  Prune skipped: dueDate is not mapped to a Notion property');
+      return;
+    }
+    if (this.args.prune === 'flag' && !status) {
+      console.warn('⚠️  Prune skipped: status is not mapped to a Notion property');
+      return;
+    }
+
+    const upstream = new Set(upstreamIds);
+    let existingPages;
+    try {
+      existingPages = await this.getExistingNotionPages();
+    } catch (error) {
+      console.error(`❌ Prune aborted: could not list existing pages (${error.message})`);
+      return;
+    }
+    const candidates = [];
+
+    existingPages.forEach((page, assignmentId) => {
+      if (upstream.has(assignmentId)) return;
+
+      const due = this.parseIsoOrNull(this.notionPropertyValue(page.properties[dueDate.name]));
+      if (!due || due < this.fetchWindow.dueAfter) return;
+      if (this.fetchWindow.dueBefore && due > this.fetchWindow.dueBefore) return;
+
+      // Already flagged on a previous run
+      if (this.args.prune === 'flag' && this.notionPropertyValue(page.properties[status.name]) === this.args.pruneStatus) return;
+
+      candidates.push({ assignmentId, page });
+    });
+
+    if (candidates.length === 0) {
+      console.log('🧹 No Notion pages to prune');
+      return;
+    }
+
+    const action = this.args.prune === 'archive' ? 'archive' : `flag as "${this.args.pruneStatus}"`;
+
+    if (this.args.pruneDryRun) {
+      console.log(`🧹 Dry run: would ${action} ${candidates.length} Notion pages:`);
+      candidates.forEach(({ assignmentId, page }) => {
+        console.log(`  - ${this.notionPropertyValue(page.properties[title.name]) || '(untitled)'} [${assignmentId}]`);
+      });
+      return;
+    }
+
+    console.log(`🧹 Pruning ${candidates.length} Notion pages removed upstream (${action})...`);
+
+    let pruned = 0;
+    let failed = 0;
+
+    for (const { assignmentId, page } of candidates) {
+      try {
+        if (this.args.prune === 'archive') {
+          await this.archiveNotionPage(page.id);
+        } else {
+          await this.updateNotionPage(page.id, {
+            [status.name]: this.toNotionProperty(status.type, this.args.pruneStatus)
+          });
         }
+        pruned++;
+      } catch (error) {
+        console.error(`❌ Failed to prune assignment ${assignmentId}:`, error.message);
+        failed++;
       }
-    };
+    }
 
-    const response = await fetch('https://api.notion.com/v1/pages', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_TOKEN}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
+    console.log(`✅ Prune complete: ${pruned} pruned, ${failed} failed`);
+  }
+
+  async createNotionPage(item) {
+    return this.notion.request('POST', '/pages', {
+      parent: {
+        database_id: process.env.NOTION_DATABASE_ID
       },
-      body: JSON.stringify(payload)
+      properties: this.buildNotionProperties(item)
     });
+  }
+
+  async updateNotionPage(pageId, properties) {
+    return this.notion.request('PATCH', `/pages/${pageId}`, { properties });
+  }
+
+  // Write the instructions as page blocks, replacing the blocks written on a
+  // previous run when the instructions changed. Blocks added by hand are kept.
+  // Returns true when the body was (re)written.
+  async syncNotionBody(pageId, item) {
+    if (!this.args.notionBody) return false;
+
+    const hash = crypto.createHash('sha1').update(item.instructionsHtml || '').digest('hex');
+    const previous = this.state.notionBodies[item.id];
+
+    if (previous && previous.pageId === pageId && previous.hash === hash) {
+      return false;
+    }
+
+    if (previous && previous.pageId === pageId) {
+      for (const blockId of previous.blockIds) {
+        try {
+          await this.notion.request('DELETE', `/blocks/${blockId}`);
+        } catch (error) {
+          // Already deleted by hand
+          if (error.status !== 404) throw error;
+        }
+      }
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`${response.status}: ${errorData.message || response.statusText}`);
+    // Saved after every appended chunk: if the run aborts, the next one finds
+    // the blocks already written (hash still null) and replaces them instead
+    // of appending the body a second time
+    const entry = { pageId, hash: null, blockIds: [] };
+    this.state.notionBodies[item.id] = entry;
+    for (const chunk of chunkBlocks(htmlToNotionBlocks(item.instructionsHtml))) {
+      const result = await this.notion.request('PATCH', `/blocks/${pageId}/children`, { children: chunk });
+      entry.blockIds.push(...result.results.map(block => block.id));
+      this.saveState();
     }
 
-    return await response.json();
+    entry.hash = hash;
+    this.saveState();
+    return true;
   }
 
-  createRateLimiter(delayMs) {
-    let lastCall = 0;
-    return async () => {
-      const now = Date.now();
-      const timeSinceLastCall = now - lastCall;
-      if (timeSinceLastCall < delayMs) {
-        await new Promise(resolve => setTimeout(resolve, delayMs - timeSinceLastCall));
-      }
-      lastCall = Date.now();
+  async archiveNotionPage(pageId) {
+    return this.notion.request('PATCH', `/pages/${pageId}`, { archived: true });
+  }
+
+  async openStore() {
+    if (!this.args.store) return null;
+
+    try {
+      const store = await AssignmentStore.open(this.args.store);
+      console.log(`🗄️  Using assignment store ${this.args.store}`);
+      return store;
+    } catch (error) {
+      console.error(`❌ Could not open assignment store ${this.args.store}: ${error.message}`);
+      console.error('   better-sqlite3 is optional and needs Node 20+: run "npm install better-sqlite3", or drop --store.');
+      process.exit(1);
+    }
+  }
+
+  // The new snapshots are saved before the entries are appended, so a run that
+  // aborts in between can't log the same changes again on the next run
+  recordChanges(items) {
+    const entries = detectChanges(items, this.state.snapshots);
+    this.saveState();
+    appendChanges(entries, this.changesFile);
+    return entries;
+  }
+
+  printChangesSince(value) {
+    const since = this.parseDateArg(value, -1);
+    if (!since) {
+      console.error(`❌ Invalid date for --changes-since: ${value}`);
+      process.exit(1);
+    }
+
+    const entries = readChangesSince(since, this.changesFile);
+    if (entries.length === 0) {
+      console.log(`No changes recorded in ${this.changesFile} since ${since.toISOString()}`);
+      return;
+    }
+
+    const format = (value) => {
+      if (value === null || value === '') return '(empty)';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return this.trim(text.replace(/\s+/g, ' '), 80);
     };
+
+    console.log(`📜 ${entries.length} changes since ${since.toISOString()}:\n`);
+    entries.forEach(entry => {
+      const when = entry.at.substring(0, 16).replace('T', ' ');
+      console.log(`${when}  ${entry.type === 'added' ? '➕' : '✏️ '} ${entry.title} [${entry.id}]`);
+      entry.changes.forEach(change => {
+        console.log(`    ${change.field}: ${format(change.old)} → ${format(change.new)}`);
+      });
+    });
   }
 
   updateState(processedIds) {
@@ -1129,12 +2286,14 @@ For more info, see README.md
     this.saveState();
   }
 
-  printSummary(totalFetched, filteredItems, newCount = null) {
+  // exportedItems are the rows of assignments.json/csv/xlsx and by-year/: the
+  // store's history with --export-from-store, else filteredItems
+  printSummary(totalFetched, filteredItems, newCount = null, changes = [], exportedItems = filteredItems) {
     // Count files by year/month for summary
     const yearCounts = new Map();
     const monthCounts = new Map();
     
-    filteredItems.forEach(item => {
+    exportedItems.forEach(item => {
       const dueDate = item.dueDate ? new Date(item.dueDate) : null;
       if (!dueDate || isNaN(dueDate.getTime())) return;
       
@@ -1149,22 +2308,29 @@ For more info, see README.md
     console.log(`\nSummary:`);
     console.log(`- Total fetched from API: ${totalFetched}`);
     console.log(`- Total after filters: ${filteredItems.length}`);
-    console.log(`- Written to outputs/assignments.json: ${filteredItems.length}`);
-    console.log(`- Written to outputs/assignments.csv: ${filteredItems.length}`);
-    console.log(`- Written to outputs/assignments.xlsx: ${filteredItems.length}`);
-    console.log(`- Written to outputs/notion_payload.json: ${filteredItems.length}`);
+    console.log(`- Written to ${this.outputDir}/assignments.json: ${exportedItems.length}`);
+    console.log(`- Written to ${this.outputDir}/assignments.csv: ${exportedItems.length}`);
+    console.log(`- Written to ${this.outputDir}/assignments.xlsx: ${exportedItems.length}`);
+    console.log(`- Written to ${this.outputDir}/assignments.ics: ${filteredItems.filter(item => item.dueDate).length}`);
+    console.log(`- Written to ${this.outputDir}/grades.json/csv: ${filteredItems.filter(item => item.grade).length}`);
+    console.log(`- Written to ${this.outputDir}/notion_payload.json: ${filteredItems.length}`);
     
     if (this.args.incremental && newCount !== null) {
       console.log(`- New items (incremental): ${newCount}`);
     }
 
+    if (changes.length > 0) {
+      const added = changes.filter(entry => entry.type === 'added').length;
+      console.log(`- Logged to ${this.changesFile}: ${added} added, ${changes.length - added} changed`);
+    }
+
     console.log(`\nOrganized Files:`);
     console.log(`- Year folders: ${yearCounts.size} (${Array.from(yearCounts.keys()).join(', ')})`);
     console.log(`- Month folders: ${monthCounts.size}`);
 
     // Show breakdown by year
     yearCounts.forEach((count, year) => {
-      console.log(`  └─ outputs/by-year/${year}/: ${count} assignments`);
+      console.log(`  └─ ${this.outputDir}/by-year/${year}/: ${count} assignments`);
     });
 
     if (filteredItems.length > 0) {
@@ -1184,14 +2350,112 @@ For more info, see README.md
     }
   }
 
+  // Outcome of this run for --all-profiles, which reads it from SYNC_SUMMARY_FILE
+  writeRunSummary(summary) {
+    if (!process.env.SYNC_SUMMARY_FILE) return;
+    try {
+      fs.writeFileSync(process.env.SYNC_SUMMARY_FILE, JSON.stringify(summary));
+    } catch (error) {
+      console.warn(`⚠️  Could not write run summary: ${error.message}`);
+    }
+  }
+
+  // --all-profiles: each profile runs in a child process started from the
+  // shell's environment, so one profile's credentials never leak into the next
+  // and a failing profile doesn't stop the others.
+  async runAllProfiles() {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+      console.error('❌ No profiles found. Create profiles/<name>.env for each account (see README.md)');
+      return false;
+    }
+
+    const { spawnSync } = await import('child_process');
+    const argv = process.argv.slice(2).filter(arg => arg !== '--all-profiles');
+    const summaryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-sync-'));
+    const results = [];
+
+    console.log(`👥 Running ${profiles.length} profiles: ${profiles.join(', ')}`);
+
+    for (const name of profiles) {
+      console.log(`\n━━━━━━━━━━ 👤 ${name} ━━━━━━━━━━`);
+      const summaryFile = path.join(summaryDir, `${name}.json`);
+      const started = Date.now();
+      const child = spawnSync(process.execPath, [process.argv[1], `--profile=${name}`, ...argv], {
+        stdio: 'inherit',
+        env: { ...SHELL_ENV, SYNC_PROFILE: name, SYNC_SUMMARY_FILE: summaryFile }
+      });
+
+      let summary = null;
+      try {
+        summary = JSON.parse(fs.readFileSync(summaryFile, 'utf8'));
+      } catch {
+        // Commands other than a sync, or an exit before the sync started
+      }
+      results.push({ name, exitCode: child.status, seconds: Math.round((Date.now() - started) / 1000), summary });
+    }
+
+    fs.rmSync(summaryDir, { recursive: true, force: true });
+
+    console.log(`\n👥 All profiles:`);
+    console.log(`${'Profile'.padEnd(16)} ${'Result'.padEnd(12)} ${'Fetched'.padStart(7)} ${'Exported'.padStart(8)} ${'Added'.padStart(5)} ${'Changed'.padStart(7)} ${'Time'.padStart(5)}`);
+    console.log('─'.repeat(68));
+    for (const { name, exitCode, seconds, summary } of results) {
+      const status = summary?.status || (exitCode === 0 ? 'done' : `exit ${exitCode ?? 'signal'}`);
+      const icon = exitCode !== 0 ? '❌' : (status === 'partial' ? '⚠️ ' : '✅');
+      const count = (key) => String(summary?.[key] ?? '-');
+      console.log(`${this.trim(name, 16).padEnd(16)} ${`${icon} ${status}`.padEnd(12)} ${count('fetched').padStart(7)} ${count('exported').padStart(8)} ${count('added').padStart(5)} ${count('changed').padStart(7)} ${`${seconds}s`.padStart(5)}`);
+      if (summary?.error) {
+        console.log(`${''.padEnd(16)} └─ ${summary.error}`);
+      }
+    }
+
+    const failed = results.filter(result => result.exitCode !== 0);
+    if (failed.length > 0) {
+      console.log(`\n❌ ${failed.length} of ${results.length} profiles failed: ${failed.map(result => result.name).join(', ')}`);
+      return false;
+    }
+    console.log(`\n✅ All ${results.length} profiles completed`);
+    return true;
+  }
+
   async run() {
     try {
-      // Auto-refresh locally unless disabled; avoid launching browsers in CI.
-      const isCi = process.env.CI === 'true' || process.env.GITHUB_ACTIONS === 'true';
-      const autoRefreshDisabled = process.env.AUI_AUTO_REFRESH === '0';
-      const shouldAutoRefresh = this.args.refreshTokens || (!isCi && !autoRefreshDisabled);
+      if (this.args.allProfiles) {
+        process.exit(await this.runAllProfiles() ? 0 : 1);
+      }
+      if (this.args.profile) {
+        console.log(`👤 Profile: ${this.args.profile} (${envFile()})`);
+      }
+
+      if (this.args.login) {
+        process.exit(await this.runLogin() ? 0 : 1);
+      }
+      if (this.args.tokensCommand) {
+        process.exit(this.runTokensCommand(this.args.tokensCommand) ? 0 : 1);
+      }
+      if (this.args.profile && !this.recorder?.replaying) {
+        this.checkProfileCredentials();
+      }
+
+      // Notion setup commands don't touch the assignments API
+      if (this.args.notionInit !== null) {
+        await this.initNotionDatabase(this.args.notionInit);
+        process.exit(0);
+      }
+      if (this.args.notionCheck) {
+        const valid = await this.runNotionCheck();
+        process.exit(valid ? 0 : 1);
+      }
+      if (this.args.changesSince) {
+        this.printChangesSince(this.args.changesSince);
+        process.exit(0);
+      }
 
-      if (shouldAutoRefresh) {
+      if (this.recorder?.replaying) {
+        console.log('📼 Replay mode: skipping token validation');
+      } else if (this.canRefreshTokens()) {
+        // The Edge extractor only captures AUI tokens; other sources are validated as-is
         const refreshed = await this.refreshTokensIfNeeded();
         if (!refreshed) {
           console.error('❌ Token refresh failed. Please provide valid tokens manually.');
@@ -1199,7 +2463,7 @@ For more info, see README.md
         }
       } else {
         // Always validate tokens before proceeding
-        if (!this.validateToken(process.env.AUI_TOKEN)) {
+        if (!this.validateToken(process.env[this.source.tokenEnv])) {
           console.error('❌ Invalid or expired token. Use --refresh-tokens to auto-refresh or update .env manually.');
           process.exit(1);
         }
@@ -1223,39 +2487,110 @@ For more info, see README.md
         return;
       }
 
+      // A replay reproduces the exports only: state.json, the change log, the
+      // store and Notion are live state that a fixture must not change
+      const replaying = Boolean(this.recorder?.replaying);
+      if (replaying) {
+        console.log('📼 Replay: leaving state.json, the change log, the store and Notion untouched');
+      }
+
+      this.store = await this.openStore();
+      this.runId = replaying ? null : this.store?.startRun(this.source.name);
+
       console.log('Fetching assignments from Microsoft Teams...');
       
       const rawAssignments = await this.fetchAllAssignments();
-      
-      console.log('Normalizing assignments and fetching class details...');
-      const normalizedAssignments = [];
-      for (const raw of rawAssignments) {
-        const normalized = await this.normalizeAssignment(raw);
-        normalizedAssignments.push(normalized);
+      const normalizedAssignments = await this.normalizeAll(rawAssignments);
+
+      // Assignments missing class or detail data are still exported, but kept
+      // out of the change log, the store, Notion and seenIds until a clean run
+      const partialIds = this.partialIds(normalizedAssignments);
+      const completeAssignments = normalizedAssignments.filter(item => !partialIds.has(item.id));
+      if (partialIds.size > 0) {
+        console.warn(`⚠️  ${partialIds.size} assignments have partial data after failed lookups; they are exported but not logged, stored or uploaded to Notion`);
       }
+
+      // Every fetched assignment is compared, not just those that pass the filters
+      const changes = replaying ? [] : this.recordChanges(completeAssignments);
+
+      if (!replaying) {
+        this.store?.saveAssignments(completeAssignments, this.runId);
+      }
+
       const filteredAssignments = this.applyFilters(normalizedAssignments);
       
       const newCount = this.args.incremental ? 
         filteredAssignments.filter(item => !this.state.seenIds.includes(item.id)).length : 
         null;
 
-      this.writeJsonFile(filteredAssignments);
-      this.writeXlsxFile(filteredAssignments);
+      if (this.args.downloadResources) {
+        await this.downloadAllResources(filteredAssignments);
+      }
+
+      // The store holds everything ever fetched; the same filters still apply
+      const exportAssignments = this.args.exportFromStore
+        ? this.applyFilters(this.store.allAssignments(), { serverFiltered: new Set() })
+        : filteredAssignments;
+      if (this.args.exportFromStore) {
+        console.log(`🗄️  Exporting ${exportAssignments.length} assignments from the store`);
+      }
+
+      this.writeJsonFile(exportAssignments);
+      this.writeXlsxFile(exportAssignments);
+      this.writeIcsFile(filteredAssignments);
+      this.writeGradesFiles(filteredAssignments);
       this.writeNotionPayload(filteredAssignments);
 
-      // Upload to Notion if configured
-      await this.uploadToNotion(filteredAssignments);
+      if (!replaying) {
+        // Upload to Notion if configured
+        await this.uploadToNotion(filteredAssignments.filter(item => !partialIds.has(item.id)));
 
-      const processedIds = filteredAssignments.map(item => item.id);
-      this.updateState(processedIds);
-      
-      this.printSummary(rawAssignments.length, filteredAssignments, newCount);
-      
-      console.log('\n✅ Sync completed successfully!');
+        // Reconcile against everything fetched, not just what passed the filters
+        await this.pruneNotionPages(normalizedAssignments.map(item => item.id));
+
+        const processedIds = filteredAssignments.filter(item => !partialIds.has(item.id)).map(item => item.id);
+        this.updateState(processedIds);
+      }
+
+      const outcome = {
+        status: partialIds.size > 0 || this.listIncomplete ? 'partial' : 'ok',
+        fetched: rawAssignments.length,
+        exported: exportAssignments.length,
+        added: changes.filter(entry => entry.type === 'added').length,
+        changed: changes.filter(entry => entry.type === 'changed').length
+      };
+      if (this.runId) {
+        this.store.finishRun(this.runId, outcome);
+      }
+      this.store?.close();
+      this.writeRunSummary(outcome);
+
+      this.printSummary(rawAssignments.length, filteredAssignments, newCount, changes, exportAssignments);
+
+      if (partialIds.size > 0) {
+        console.log(`\n⚠️  Sync completed with partial data for ${partialIds.size} assignments (${this.degraded.length} failed lookups)`);
+      } else if (this.listIncomplete) {
+        console.log('\n⚠️  Sync completed, but some classes could not be listed');
+      } else {
+        console.log('\n✅ Sync completed successfully!');
+      }
       process.exit(0);
       
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      if (error instanceof AuthError) {
+        console.error(`❌ Authorization failed (${error.message}, likely expired token). Use --refresh-tokens or recapture a fresh Bearer token.`);
+      } else if (error instanceof TransientError) {
+        console.error(`❌ API still failing after ${API_MAX_RETRIES} retries: ${error.message} (${this.shortUrl(error.url)})`);
+      } else if (error instanceof ApiError) {
+        console.error(`❌ ${error.message} from ${this.shortUrl(error.url)}${error.body ? `: ${error.body.substring(0, 500)}` : ''}`);
+      } else {
+        console.error(`Error: ${error.message}`);
+      }
+      if (this.store && this.runId) {
+        this.store.finishRun(this.runId, { status: 'failed', error: error.message });
+        this.store.close();
+      }
+      this.writeRunSummary({ status: 'failed', error: error.message });
       process.exit(1);
     }
   }